@@ -0,0 +1,177 @@
+/**
+ * Serialization of variables passed from SSR to the client
+ *
+ * Values are converted to JSON friendly data before being passed in the
+ * initial state, and converted back when the client reads it. Date, Map, Set
+ * and BigInt values are stored as {"$klbfw": type, "v": data} objects. Other
+ * values that cannot be represented in JSON are reported in development mode.
+ */
+import { isDev } from "./env.js";
+
+const TAG = "$klbfw";
+
+/**
+ * Internal helper setting a property of an object built by encode() or decode()
+ *
+ * The property is defined instead of assigned, so a "__proto__" key found in
+ * data is copied as is instead of changing the prototype of the object.
+ *
+ * @param {Object} obj - The object
+ * @param {string} k - The property name
+ * @param {any} v - The property value
+ */
+function setProp(obj, k, v) {
+	Object.defineProperty(obj, k, {value: v, writable: true, enumerable: true, configurable: true});
+}
+
+/**
+ * Internal helper converting a value to JSON friendly data
+ *
+ * @param {any} value - Value to convert
+ * @param {string} path - Location of the value, used in warnings
+ * @param {Array} seen - Objects currently being converted, to detect circular references
+ * @param {Array<string>} issues - Receives descriptions of values that could not be converted
+ * @returns {any} - JSON friendly data
+ */
+function encode(value, path, seen, issues) {
+	switch(typeof value) {
+	case "string":
+	case "boolean":
+		return value;
+	case "number":
+		if (!isFinite(value)) issues.push(path + " is " + value);
+		return value;
+	case "bigint":
+		return {[TAG]: "BigInt", v: value.toString()};
+	case "undefined":
+		return value;
+	case "function":
+	case "symbol":
+		issues.push(path + " is a " + typeof value);
+		return undefined;
+	}
+
+	if (value === null) return null;
+
+	if (seen.includes(value)) {
+		issues.push(path + " is a circular reference");
+		return null;
+	}
+
+	if (value instanceof Date) {
+		return {[TAG]: "Date", v: value.toISOString()};
+	}
+
+	seen.push(value);
+	let res;
+
+	if (value instanceof Array) {
+		res = value.map((item, n) => encode(item, path + "[" + n + "]", seen, issues));
+	} else if (value instanceof Map) {
+		res = {[TAG]: "Map", v: Array.from(value, ([k, v], n) => [encode(k, path + ".<key " + n + ">", seen, issues), encode(v, path + ".get(" + String(k) + ")", seen, issues)])};
+	} else if (value instanceof Set) {
+		res = {[TAG]: "Set", v: Array.from(value, (v, n) => encode(v, path + ".<item " + n + ">", seen, issues))};
+	} else {
+		const proto = Object.getPrototypeOf(value);
+		if (proto !== Object.prototype && proto !== null) {
+			issues.push(path + " is an instance of " + ((value.constructor && value.constructor.name) || "a class") + ", only its own properties are kept");
+		}
+
+		res = {};
+		for(let k of Object.keys(value)) {
+			setProp(res, k, encode(value[k], path + "." + k, seen, issues));
+		}
+
+		if (res.hasOwnProperty(TAG)) {
+			// escape objects that would otherwise be read as a tagged value
+			res = {[TAG]: "Object", v: res};
+		}
+	}
+
+	seen.pop();
+	return res;
+}
+
+/**
+ * Internal helper converting data produced by encode() back to a value
+ *
+ * @param {any} data - JSON friendly data
+ * @returns {any} - Value
+ */
+function decode(data) {
+	if (data === null || typeof data !== "object") return data;
+
+	if (data instanceof Array) {
+		return data.map(decode);
+	}
+
+	if (data.hasOwnProperty(TAG)) {
+		switch(data[TAG]) {
+		case "Date":
+			return new Date(data.v);
+		case "BigInt":
+			return BigInt(data.v);
+		case "Map":
+			return new Map(data.v.map(([k, v]) => [decode(k), decode(v)]));
+		case "Set":
+			return new Set(data.v.map(decode));
+		case "Object":
+			data = data.v;
+			break;
+		}
+	}
+
+	let res = {};
+	for(let k of Object.keys(data)) {
+		setProp(res, k, decode(data[k]));
+	}
+	return res;
+}
+
+/**
+ * Converts the value of a variable to JSON friendly data
+ *
+ * A codec for the variable in options.codecs, or options.serialize, are used if
+ * set, otherwise Date, Map, Set and BigInt values are converted, and other
+ * values that are not JSON friendly are reported in development mode.
+ *
+ * @param {string} varName - The name of the shared variable
+ * @param {any} value - Value of the variable
+ * @param {Object} options - Options of run(), with optional codecs and serialize
+ * @returns {any} - JSON friendly data
+ */
+export function serializeVar(varName, value, options = {}) {
+	if (options.codecs && options.codecs.hasOwnProperty(varName)) {
+		return options.codecs[varName].serialize(value);
+	}
+	if (typeof options.serialize === "function") {
+		return options.serialize(value, varName);
+	}
+
+	let issues = [];
+	const res = encode(value, varName, [], issues);
+
+	if (issues.length > 0 && isDev()) {
+		console.warn('SSR: variable "' + varName + '" is not JSON friendly and will not be the same on the client: ' + issues.join(", "));
+	}
+	return res;
+}
+
+/**
+ * Converts data produced by serializeVar() back to the value of a variable
+ *
+ * @param {string} varName - The name of the shared variable
+ * @param {any} data - JSON friendly data
+ * @param {Object} options - Options of run(), with optional codecs and deserialize
+ * @returns {any} - Value of the variable
+ */
+export function deserializeVar(varName, data, options = {}) {
+	if (options.codecs && options.codecs.hasOwnProperty(varName)) {
+		return options.codecs[varName].deserialize(data);
+	}
+	if (typeof options.deserialize === "function") {
+		return options.deserialize(data, varName);
+	}
+
+	return decode(data);
+}
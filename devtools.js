@@ -0,0 +1,268 @@
+/**
+ * Development inspector for shared variables and the REST cache
+ *
+ * When enabled for a context (devtools option of run(), or <VarDevtools/> being
+ * mounted), setter calls, REST fetches and invalidations are recorded in a
+ * timeline, and window.__KLBFW_HOOKS__ gives access to the variables and REST
+ * cache entries of the context, so they can be inspected and edited from the
+ * browser console. <VarDevtools/> displays the same as an overlay.
+ */
+import React, { useContext, useEffect, useState } from 'react';
+import { Context } from "./ssr.js";
+import { isDev } from "./env.js";
+
+// maximum number of events kept in the timeline
+const TIMELINE_SIZE = 500;
+
+/**
+ * Enables the inspector for a context, if not done yet
+ * In the browser, the inspector is also made available as window.__KLBFW_HOOKS__.
+ *
+ * @param {Object} ctx - The context object
+ * @returns {Object} - Inspector state stored in ctx["@devtools"], as {timeline, listeners, hook}
+ */
+export function setupDevtools(ctx) {
+	if (ctx.hasOwnProperty("@devtools")) {
+		return ctx["@devtools"];
+	}
+
+	const state = {
+		// recorded events, oldest first
+		timeline: [],
+		// functions called with each new event
+		listeners: new Set(),
+	};
+	state.hook = {
+		ctx: ctx,
+		timeline: state.timeline,
+		getVars: () => listVars(ctx),
+		getRest: () => listRest(ctx),
+		setVar: (varName, value) => {
+			if (!ctx.hasOwnProperty(varName) || varName.charAt(0) === "@") {
+				throw new Error('Unknown variable "' + varName + '"');
+			}
+			recordEvent(ctx, "edit", {key: varName, value: value});
+			ctx[varName].setter(value);
+		},
+		refresh: key => {
+			const ctxRest = ctx["@rest"] || {};
+			if (!ctxRest.hasOwnProperty(key)) {
+				throw new Error('Unknown REST cache entry "' + key + '"');
+			}
+			recordEvent(ctx, "invalidate", {key: key, reason: "devtools"});
+			return ctxRest[key].refresh(true);
+		},
+		subscribe: cb => {
+			state.listeners.add(cb);
+			return () => state.listeners.delete(cb);
+		},
+	};
+	ctx["@devtools"] = state;
+
+	if (typeof window !== "undefined") {
+		window.__KLBFW_HOOKS__ = state.hook;
+	}
+	return state;
+}
+
+/**
+ * Records an event in the timeline of a context, if the inspector is enabled
+ *
+ * @param {Object} ctx - The context object
+ * @param {string} type - Event type, such as "set", "fetch", "fetched" or "invalidate"
+ * @param {Object} data - Event data, usually with the key of the variable or REST entry
+ */
+export function recordEvent(ctx, type, data) {
+	const state = ctx["@devtools"];
+	if (!state) return;
+
+	const event = {type: type, time: new Date().getTime(), ...data};
+	state.timeline.push(event);
+	if (state.timeline.length > TIMELINE_SIZE) {
+		state.timeline.splice(0, state.timeline.length - TIMELINE_SIZE);
+	}
+	state.listeners.forEach(cb => cb(event));
+}
+
+/**
+ * Internal helper listing the variables of a context
+ *
+ * @param {Object} ctx - The context object
+ * @returns {Array<Object>} - Variables, as {name, value, subscribers, persist, sync}
+ */
+function listVars(ctx) {
+	let res = [];
+	for(let varName in ctx) {
+		if (varName.charAt(0) === "@") continue;
+		const variable = ctx[varName];
+		res.push({
+			name: varName,
+			value: variable.value,
+			subscribers: variable.subscribers.size,
+			persist: !!variable.persist,
+			sync: !!variable.sync,
+		});
+	}
+	return res;
+}
+
+/**
+ * Internal helper listing the REST cache entries of a context
+ *
+ * @param {Object} ctx - The context object
+ * @returns {Array<Object>} - Entries, as {key, path, params, time, status, error, tags}
+ */
+function listRest(ctx) {
+	let res = [];
+	const ctxRest = ctx["@rest"] || {};
+	for(let key in ctxRest) {
+		const restData = ctxRest[key];
+		const v = ctx.hasOwnProperty(key) ? ctx[key].value : null;
+
+		let status = "loading";
+		if (v != null) {
+			status = v.error ? "error" : (restData.pending ? "validating" : "success");
+		} else if (!restData.pending) {
+			status = "idle";
+		}
+
+		res.push({
+			key: key,
+			path: restData.path,
+			params: restData.params,
+			time: restData.time,
+			status: status,
+			error: v != null ? (v.error || v.revalidateError || null) : null,
+			tags: Array.from(restData.tags),
+		});
+	}
+	return res;
+}
+
+/**
+ * Internal helper converting a value to text for display
+ *
+ * @param {any} value - Value to display
+ * @param {boolean} pretty - If true, indent objects
+ * @returns {string} - Text
+ */
+function formatValue(value, pretty) {
+	if (value === undefined) return "undefined";
+	try {
+		return JSON.stringify(value, null, pretty ? 2 : undefined);
+	} catch (e) {
+		return String(value);
+	}
+}
+
+const styles = {
+	button: {position: "fixed", right: 8, bottom: 8, zIndex: 2147483647, font: "12px monospace"},
+	panel: {position: "fixed", right: 8, bottom: 36, zIndex: 2147483647, width: 480, maxHeight: "60vh", overflow: "auto", background: "#fff", color: "#000", border: "1px solid #888", font: "12px monospace", padding: 8},
+	row: {borderBottom: "1px solid #ddd", padding: "4px 0", wordBreak: "break-all"},
+};
+
+/**
+ * Internal component displaying a variable, with a form to edit its value
+ *
+ * @param {Object} props - {variable, hook}
+ * @returns {Object} - The row element
+ */
+function VarRow({variable, hook}) {
+	const [edit, setEdit] = useState(null);
+	const [error, setError] = useState(null);
+
+	const save = () => {
+		try {
+			hook.setVar(variable.name, JSON.parse(edit));
+			setEdit(null);
+			setError(null);
+		} catch (e) {
+			setError(e.message);
+		}
+	};
+
+	return React.createElement("div", {style: styles.row},
+		React.createElement("b", null, variable.name),
+		" (" + variable.subscribers + " subscriber" + (variable.subscribers === 1 ? "" : "s") + (variable.persist ? ", persisted" : "") + (variable.sync ? ", synced" : "") + ") ",
+		edit === null
+			? React.createElement("button", {onClick: () => setEdit(formatValue(variable.value, true))}, "edit")
+			: React.createElement("span", null,
+				React.createElement("button", {onClick: save}, "save"),
+				React.createElement("button", {onClick: () => setEdit(null)}, "cancel")),
+		edit === null
+			? React.createElement("div", null, formatValue(variable.value))
+			: React.createElement("textarea", {value: edit, onChange: e => setEdit(e.target.value), rows: 6, style: {width: "100%"}}),
+		error && React.createElement("div", {style: {color: "red"}}, error)
+	);
+}
+
+/**
+ * Overlay listing shared variables, REST cache entries and the timeline of events
+ *
+ * Render it anywhere inside the application to enable the inspector. Nothing is
+ * rendered in production builds (NODE_ENV set to "production").
+ *
+ * @returns {Object|null} - The overlay element
+ */
+export function VarDevtools() {
+	const ctx = useContext(Context);
+	const [open, setOpen] = useState(false);
+	const [tab, setTab] = useState("vars");
+	const [, setVersion] = useState(0);
+
+	useEffect(() => {
+		if (!isDev()) return;
+
+		// events can be recorded while other components render, update afterwards
+		let scheduled = false;
+		const unsubscribe = setupDevtools(ctx).hook.subscribe(() => {
+			if (scheduled) return;
+			scheduled = true;
+			queueMicrotask(() => {
+				scheduled = false;
+				setVersion(v => v + 1);
+			});
+		});
+		// render again now that the inspector is enabled
+		setVersion(v => v + 1);
+		return unsubscribe;
+	}, [ctx]);
+
+	if (!isDev() || !ctx["@devtools"]) return null;
+	const hook = ctx["@devtools"].hook;
+
+	const toggle = React.createElement("button", {style: styles.button, onClick: () => setOpen(!open)}, "klbfw");
+	if (!open) return toggle;
+
+	let content;
+	switch(tab) {
+	case "vars":
+		content = hook.getVars().map(variable => React.createElement(VarRow, {key: variable.name, variable: variable, hook: hook}));
+		break;
+	case "rest":
+		content = hook.getRest().map(entry => React.createElement("div", {key: entry.key, style: styles.row},
+			React.createElement("b", null, entry.path),
+			" " + entry.params + " [" + entry.status + "]" + (entry.time ? " fetched " + new Date(entry.time).toLocaleTimeString() : "") + " ",
+			React.createElement("button", {onClick: () => hook.refresh(entry.key)}, "refresh"),
+			entry.error && React.createElement("div", {style: {color: "red"}}, formatValue(entry.error))
+		));
+		break;
+	default:
+		content = hook.timeline.slice().reverse().map((event, n) => {
+			const {type, time, key, ...data} = event;
+			return React.createElement("div", {key: hook.timeline.length - n, style: styles.row},
+				new Date(time).toLocaleTimeString() + " " + type + " ",
+				React.createElement("b", null, key),
+				" " + formatValue(data)
+			);
+		});
+	}
+
+	return React.createElement(React.Fragment, null,
+		toggle,
+		React.createElement("div", {style: styles.panel},
+			["vars", "rest", "timeline"].map(name => React.createElement("button", {key: name, disabled: tab === name, onClick: () => setTab(name)}, name)),
+			content
+		)
+	);
+}
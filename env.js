@@ -0,0 +1,12 @@
+/**
+ * Helpers about the environment the package runs in
+ */
+
+/**
+ * Checks if we are running in development mode
+ *
+ * @returns {boolean} - True unless NODE_ENV is "production"
+ */
+export function isDev() {
+	return typeof process !== "undefined" && !!process.env && process.env.NODE_ENV !== "production";
+}
@@ -0,0 +1,399 @@
+/**
+ * Management of the document head (title, meta, link and script tags, html and body attributes)
+ *
+ * Components declare head data with useHead() or <Head>. Declarations are stored
+ * in the context, so each server render collects its own tags, which are passed
+ * to the server through the render result. In the browser, the document is
+ * updated whenever declarations change. When several components set the same
+ * title or meta tag, the deepest (or last mounted) one wins.
+ */
+import React, { useContext, useEffect, useId, useRef } from 'react';
+import { Context } from "./ssr.js";
+
+// attribute added to the tags we manage, so they can be updated on the client
+const MARKER = "data-klbfw-head";
+
+// React prop names that do not simply lowercase to HTML attribute names
+const ATTRIBUTE_NAMES = {
+	className: "class",
+	htmlFor: "for",
+	httpEquiv: "http-equiv",
+	acceptCharset: "accept-charset",
+};
+
+/**
+ * Internal helper returning the head state of a context, creating it if needed
+ *
+ * @param {Object} ctx - The context object
+ * @returns {Object} - Head state, as {entries, count, scheduled}
+ */
+function getHeadState(ctx) {
+	if (!ctx.hasOwnProperty("@head")) {
+		resetHead(ctx);
+	}
+	return ctx["@head"];
+}
+
+/**
+ * Clears head data collected in a context
+ * This is used by makeRenderer() before each render pass.
+ *
+ * @param {Object} ctx - The context object
+ * @param {boolean} server - True if head data is collected while rendering on the server
+ */
+export function resetHead(ctx, server = false) {
+	ctx["@head"] = {
+		// collect declarations while rendering, even if a DOM is available (tests running in jsdom)
+		server: server,
+		// declarations by component id, as {order, head}
+		entries: new Map(),
+		// incremented for each declaring component, used to order declarations
+		count: 0,
+		// true while an update of the document is pending
+		scheduled: false,
+	};
+}
+
+/**
+ * Declares head data for the current component
+ *
+ * Head data is an object with any of:
+ * - title: Document title
+ * - titleTemplate: Template applied to the title, "%s" is replaced by the title
+ * - defaultTitle: Title used when no component sets one
+ * - meta, link, script: Arrays of tag attributes (React prop names are accepted),
+ *   scripts may have an innerHTML property
+ * - htmlAttributes, bodyAttributes: Attributes set on the html and body elements
+ *
+ * @param {Object} head - Head data
+ */
+export function useHead(head) {
+	const ctx = useContext(Context);
+	const state = getHeadState(ctx);
+	const id = useId();
+
+	// components render parents first, so a deeper or later component gets a higher order
+	const order = useRef(0);
+	if (order.current === 0) {
+		order.current = ++state.count;
+	}
+
+	if (state.server) {
+		// on the server, data is collected while rendering
+		state.entries.set(id, {order: order.current, head: head});
+	}
+
+	useEffect(() => {
+		state.entries.set(id, {order: order.current, head: head});
+		scheduleUpdate(state);
+	});
+
+	useEffect(() => () => {
+		state.entries.delete(id);
+		scheduleUpdate(state);
+	}, [state, id]);
+}
+
+/**
+ * Internal helper converting the text children of an element to a string
+ *
+ * @param {any} children - Element children
+ * @returns {string} - Text content
+ */
+function childrenToText(children) {
+	return React.Children.toArray(children).join("");
+}
+
+/**
+ * Declares head data using elements as children, like react-helmet
+ *
+ * Children can be <title>, <meta>, <link>, <script>, <html> and <body> elements.
+ * Head data can also be passed as props, see useHead() for the list.
+ *
+ * @param {Object} props - Head data, and children elements
+ * @returns {null} - Nothing is rendered in place
+ */
+export function Head({children, ...props}) {
+	const head = {
+		...props,
+		meta: [...(props.meta || [])],
+		link: [...(props.link || [])],
+		script: [...(props.script || [])],
+		htmlAttributes: {...props.htmlAttributes},
+		bodyAttributes: {...props.bodyAttributes},
+	};
+
+	React.Children.forEach(children, child => {
+		if (!child || typeof child.type !== "string") return;
+		const {children: content, ...attributes} = child.props;
+
+		switch(child.type) {
+		case "title":
+			head.title = childrenToText(content);
+			break;
+		case "meta":
+		case "link":
+			head[child.type].push(attributes);
+			break;
+		case "script":
+			if (content) attributes.innerHTML = childrenToText(content);
+			head.script.push(attributes);
+			break;
+		case "html":
+			Object.assign(head.htmlAttributes, attributes);
+			break;
+		case "body":
+			Object.assign(head.bodyAttributes, attributes);
+			break;
+		}
+	});
+
+	useHead(head);
+	return null;
+}
+
+/**
+ * Compatibility shim for react-helmet users, see Head
+ * 
+ * @param {Object} props - Head data, as for Head
+ * @returns {Object} - The Head element
+ */
+export function Helmet(props) {
+	return React.createElement(Head, props);
+}
+
+/**
+ * Head data is returned by the renderer instead, throws an error explaining where to find it
+ * 
+ * @throws {Error} - Always
+ */
+Helmet.renderStatic = function() {
+	throw new Error("Helmet.renderStatic() is not supported: head data of the rendered page is returned by the renderer as result.title, result.meta, result.link, result.script, result.htmlAttributes and result.bodyAttributes");
+};
+
+/**
+ * Internal helper returning the key used to replace a tag declared by another component
+ *
+ * @param {string} type - Tag type, "meta", "link" or "script"
+ * @param {Object} attributes - Tag attributes
+ * @returns {string} - Key, tags with the same key replace each other
+ */
+function tagKey(type, attributes) {
+	switch(type) {
+	case "meta":
+		for(let name of ["name", "property", "httpEquiv", "http-equiv", "charSet", "charset", "itemProp", "itemprop"]) {
+			if (attributes[name]) return name.toLowerCase() + "=" + attributes[name];
+		}
+		break;
+	case "link":
+		if (attributes.rel === "canonical") return "canonical";
+		break;
+	}
+	return JSON.stringify(attributes);
+}
+
+/**
+ * Internal helper merging all head declarations of a context
+ *
+ * @param {Object} state - Head state of the context
+ * @returns {Object} - Merged head, as {title, meta, link, script, htmlAttributes, bodyAttributes}
+ */
+function mergeHead(state) {
+	let title = null, titleTemplate = null, defaultTitle = null;
+	const tags = {meta: new Map(), link: new Map(), script: new Map()};
+	const htmlAttributes = {}, bodyAttributes = {};
+
+	const entries = Array.from(state.entries.values()).sort((a, b) => a.order - b.order);
+	for(let {head} of entries) {
+		if (head.title != null) title = head.title;
+		if (head.titleTemplate != null) titleTemplate = head.titleTemplate;
+		if (head.defaultTitle != null) defaultTitle = head.defaultTitle;
+
+		for(let type in tags) {
+			for(let attributes of (head[type] || [])) {
+				const key = tagKey(type, attributes);
+				tags[type].delete(key); // keep the order of the last declaration
+				tags[type].set(key, attributes);
+			}
+		}
+
+		Object.assign(htmlAttributes, head.htmlAttributes);
+		Object.assign(bodyAttributes, head.bodyAttributes);
+	}
+
+	if (title == null) {
+		title = defaultTitle;
+	} else if (titleTemplate) {
+		title = titleTemplate.replace(/%s/g, title);
+	}
+
+	return {
+		title: title,
+		meta: Array.from(tags.meta.values()),
+		link: Array.from(tags.link.values()),
+		script: Array.from(tags.script.values()),
+		htmlAttributes: htmlAttributes,
+		bodyAttributes: bodyAttributes,
+	};
+}
+
+/**
+ * Internal helper returning the HTML attributes to set for a list of props
+ *
+ * @param {Object} attributes - Attributes, React prop names are accepted
+ * @returns {Array} - List of [name, value] pairs, value is true for boolean attributes
+ */
+function htmlAttributes(attributes) {
+	let res = [];
+	for(let prop in attributes) {
+		const value = attributes[prop];
+		if (prop === "innerHTML" || value == null || value === false) continue;
+		res.push([ATTRIBUTE_NAMES[prop] || prop.toLowerCase(), value === true ? true : String(value)]);
+	}
+	return res;
+}
+
+/**
+ * Internal helper escaping text for use in HTML
+ *
+ * @param {string} str - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(str) {
+	return String(str)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+/**
+ * Internal helper rendering attributes as a string
+ *
+ * @param {Array} attributes - List of [name, value] pairs
+ * @returns {string} - Attributes separated by spaces
+ */
+function attributesToString(attributes) {
+	return attributes.map(([name, value]) => value === true ? name : name + '="' + escapeHtml(value) + '"').join(" ");
+}
+
+/**
+ * Internal helper rendering a tag as a string
+ *
+ * @param {string} type - Tag type, "meta", "link" or "script"
+ * @param {Object} attributes - Tag attributes
+ * @returns {string} - HTML tag
+ */
+function tagToString(type, attributes) {
+	const tag = "<" + type + " " + attributesToString([[MARKER, "true"], ...htmlAttributes(attributes)]);
+	if (type !== "script") return tag + "/>";
+
+	// script content cannot be escaped, only prevent it from closing the tag
+	const content = (attributes.innerHTML || "").replace(/<\/(script)/gi, "<\\/$1");
+	return tag + ">" + content + "</script>";
+}
+
+/**
+ * Renders head data collected in a context as HTML strings
+ * This is used by makeRenderer() to fill the render result.
+ *
+ * @param {Object} ctx - The context object
+ * @returns {Object} - {title, meta, link, script, htmlAttributes, bodyAttributes} as strings
+ */
+export function renderHead(ctx) {
+	const head = mergeHead(getHeadState(ctx));
+
+	const attributes = values => {
+		const list = htmlAttributes(values);
+		if (list.length === 0) return "";
+		// list managed attributes so the client knows which ones it may remove
+		return attributesToString([...list, [MARKER, list.map(([name]) => name).join(",")]]);
+	};
+
+	return {
+		title: head.title == null ? "" : "<title " + MARKER + '="true">' + escapeHtml(head.title) + "</title>",
+		meta: head.meta.map(tag => tagToString("meta", tag)).join(""),
+		link: head.link.map(tag => tagToString("link", tag)).join(""),
+		script: head.script.map(tag => tagToString("script", tag)).join(""),
+		htmlAttributes: attributes(head.htmlAttributes),
+		bodyAttributes: attributes(head.bodyAttributes),
+	};
+}
+
+/**
+ * Internal helper scheduling an update of the document, so changes made by
+ * several components in the same commit are applied at once
+ *
+ * @param {Object} state - Head state of the context
+ */
+function scheduleUpdate(state) {
+	if (state.scheduled) return;
+	state.scheduled = true;
+
+	queueMicrotask(() => {
+		state.scheduled = false;
+		updateDocument(mergeHead(state));
+	});
+}
+
+/**
+ * Internal helper setting the attributes we manage on an element
+ *
+ * @param {Element} element - The html or body element
+ * @param {Object} values - Attributes to set
+ */
+function updateAttributes(element, values) {
+	const previous = (element.getAttribute(MARKER) || "").split(",").filter(name => name);
+	const list = htmlAttributes(values);
+
+	for(let name of previous) {
+		if (!list.some(([n]) => n === name)) element.removeAttribute(name);
+	}
+	for(let [name, value] of list) {
+		element.setAttribute(name, value === true ? "" : value);
+	}
+
+	if (list.length > 0) {
+		element.setAttribute(MARKER, list.map(([name]) => name).join(","));
+	} else {
+		element.removeAttribute(MARKER);
+	}
+}
+
+/**
+ * Internal helper updating the document head
+ * Existing tags identical to a declared one are kept, so scripts are not loaded again.
+ *
+ * @param {Object} head - Merged head
+ */
+function updateDocument(head) {
+	if (head.title != null) {
+		document.title = head.title;
+	}
+	updateAttributes(document.documentElement, head.htmlAttributes);
+	updateAttributes(document.body, head.bodyAttributes);
+
+	for(let type of ["meta", "link", "script"]) {
+		let existing = Array.from(document.head.querySelectorAll(type + "[" + MARKER + "]"));
+
+		for(let attributes of head[type]) {
+			const element = document.createElement(type);
+			element.setAttribute(MARKER, "true");
+			for(let [name, value] of htmlAttributes(attributes)) {
+				element.setAttribute(name, value === true ? "" : value);
+			}
+			if (attributes.innerHTML) {
+				element.text = attributes.innerHTML;
+			}
+
+			const index = existing.findIndex(node => node.isEqualNode(element));
+			if (index >= 0) {
+				existing.splice(index, 1);
+				continue;
+			}
+			document.head.appendChild(element);
+		}
+
+		existing.forEach(node => node.remove());
+	}
+}
@@ -5,23 +5,350 @@
 
 declare module '@karpeleslab/react-klbfw-hooks';
 
-import { Context } from "react";
+import { Component, Context as ReactContext, ErrorInfo, ReactElement, ReactNode } from "react";
 
 // ssr
-export function useVar<T>(varName: string, defaultValue: T): [T, (newValue: T) =>  void];
-export function useVarCtx<T>(): T;
-export function useVarSetter<T>(varName: string, defaultValue: T): (newValue: T) =>  void;
-export function usePromise(prom: Promise<any>):  void;
-export function setPromise<T>(ctx: Context<T>,prom: Promise<any>):  void;
+
+/**
+ * Types of named variables, declared by the application to type useVar and related hooks:
+ *
+ *     declare module "@karpeleslab/react-klbfw-hooks" {
+ *         interface VarRegistry {
+ *             cart: Cart;
+ *         }
+ *     }
+ *
+ * useVar("cart", ...) then returns a Cart, and so does useVar<"cart">(...).
+ */
+export interface VarRegistry {}
+export type VarName = keyof VarRegistry;
+/** Any other variable name, a registered name used with another type is an error */
+export type OtherVarName<N extends string> = N & (N extends VarName ? never : unknown);
+
+/** Context object holding named variables, REST cache and internal ("@" prefixed) state */
+export interface VarCtx {
+	[varName: string]: any;
+}
+export const Context: ReactContext<VarCtx>;
+
+export interface PersistOptions {
+	storage?: "local" | "session";
+	version?: number;
+	migrate?: (value: any, fromVersion: number | undefined) => any;
+	key?: string;
+}
+export interface PersistRule extends PersistOptions {
+	match: string | RegExp | ((varName: string) => boolean);
+}
+export interface VarOptions {
+	persist?: boolean | "local" | "session" | PersistOptions;
+	sync?: boolean;
+}
+export type VarSetter<T> = (newValue: T | ((prev: T) => T)) => void;
+export function useVar<K extends VarName>(varName: K, defaultValue: VarRegistry[K], options?: VarOptions): [VarRegistry[K], VarSetter<VarRegistry[K]>];
+export function useVar<T, N extends string = string>(varName: OtherVarName<N>, defaultValue: T, options?: VarOptions): [T, VarSetter<T>];
+export function useVarReducer<K extends VarName, A>(varName: K, reducer: (state: VarRegistry[K], action: A) => VarRegistry[K], initial: VarRegistry[K]): [VarRegistry[K], (action: A) => void];
+export function useVarReducer<T, A, N extends string = string>(varName: OtherVarName<N>, reducer: (state: T, action: A) => T, initial: T): [T, (action: A) => void];
+// the value is undefined if the variable was not created yet
+export function useVarSelector<K extends VarName, S>(varName: K, selector: (value: VarRegistry[K] | undefined) => S, isEqual?: (a: S, b: S) => boolean): S;
+export function useVarSelector<T, S, N extends string = string>(varName: OtherVarName<N>, selector: (value: T | undefined) => S, isEqual?: (a: S, b: S) => boolean): S;
+export function useVarCtx<T = VarCtx>(): T;
+export function useVarSetter<K extends VarName>(varName: K, defaultValue: VarRegistry[K]): VarSetter<VarRegistry[K]>;
+export function useVarSetter<T, N extends string = string>(varName: OtherVarName<N>, defaultValue: T): VarSetter<T>;
+export function getVarSetter<K extends VarName>(ctx: VarCtx, varName: K, defaultValue: VarRegistry[K]): [VarRegistry[K], VarSetter<VarRegistry[K]>];
+export function getVarSetter<T, N extends string = string>(ctx: VarCtx, varName: OtherVarName<N>, defaultValue: T): [T, VarSetter<T>];
+export function usePromise(prom: Promise<any> | null | undefined): void;
+export function setPromise(ctx: VarCtx, prom: Promise<any>): void;
+export interface VarCodec {
+	serialize: (value: any) => any;
+	deserialize: (data: any) => any;
+}
 export interface RunOptions {
 	routerProps?: Record<string, any>;
 	contextProps?: Record<string, any>;
+	maxRenderPasses?: number;
+	renderTimeout?: number;
+	stream?: boolean;
+	suspense?: boolean;
+	persist?: PersistRule[];
+	sync?: Array<string | RegExp | ((varName: string) => boolean)>;
+	codecs?: {[varName: string]: VarCodec};
+	serialize?: (value: any, varName: string) => any;
+	deserialize?: (data: any, varName: string) => any;
+	promiseTimeout?: number;
+	promiseFailure?: "continue" | "abort" | "error";
+	errorElement?: ReactNode;
+	beforeRender?: (request: Request, varCtx: VarCtx) => void | Promise<void>;
+	wrapApp?: (element: ReactElement, varCtx: VarCtx) => ReactElement;
+	afterRender?: (result: RenderResult, varCtx: VarCtx) => void | Promise<void>;
+	devtools?: boolean;
+	restMiddleware?: RestMiddleware[];
+	restSubscribe?: (entry: {key: string, path: string, params: any}, push: (response: any) => void) => (() => void) | void;
 }
+export type RunPromise = Promise<any> | {label: string; promise: Promise<any>};
 
-export function run(routes: any, promisesOrOptions?: Array<Promise<any>> | RunOptions, options?: RunOptions): void;
+export interface RenderError {
+	name: string;
+	message: string;
+	status?: number;
+	token?: string;
+}
+export function useRenderError(): RenderError | null;
+
+export interface PromiseTiming {
+	label: string;
+	status: "fulfilled" | "rejected" | "timeout";
+	time: number;
+	error?: any;
+}
+/** Head data, as HTML strings */
+export interface RenderHead {
+	title: string;
+	meta: string;
+	link: string;
+	script: string;
+	htmlAttributes: string;
+	bodyAttributes: string;
+}
+interface RenderResultBase {
+	uuid: string;
+	initial: {[varName: string]: any};
+	timings: {promises: PromiseTiming[]; render?: number};
+	// fields added by afterRender
+	[field: string]: unknown;
+}
+/** The route redirected, app is not set */
+export interface RenderRedirectResult extends RenderResultBase {
+	statusCode: number;
+	headers: {[name: string]: string};
+	redirect: string;
+	app?: undefined;
+	stream?: undefined;
+	error?: undefined;
+}
+/** The page was rendered as a string */
+export interface RenderPageResult extends RenderResultBase, RenderHead {
+	statusCode: number;
+	headers: {[name: string]: string};
+	app: string;
+	redirect?: undefined;
+	stream?: undefined;
+	error?: undefined;
+}
+/** The page is being rendered as a stream (stream option) */
+export interface RenderStreamResult extends RenderResultBase, RenderHead {
+	statusCode: number;
+	headers: {[name: string]: string};
+	stream: ReadableStream<Uint8Array>;
+	app?: undefined;
+	redirect?: undefined;
+	error?: undefined;
+}
+/** Rendering failed and no errorElement was rendered, other fields may be partially set */
+export interface RenderFailureResult extends RenderResultBase, Partial<RenderHead> {
+	// Error thrown while rendering, or error returned by the API
+	error: Error | RestError;
+	statusCode?: number;
+	headers?: {[name: string]: string};
+	app?: string;
+	redirect?: string;
+	stream?: ReadableStream<Uint8Array>;
+}
+/** Result passed to the callback of the renderer, check error first */
+export type RenderResult = RenderFailureResult | RenderRedirectResult | RenderPageResult | RenderStreamResult;
+export type Renderer = (cbk: (result: RenderResult) => void) => Promise<void>;
+
+export function makeRenderer(routes: any, promises?: RunPromise[], options?: RunOptions): Renderer;
+export function run(routes: any, promisesOrOptions?: RunPromise[] | RunOptions, options?: RunOptions): void;
 
 // rest
 
-export function useRest<T>(path: string, params?: string | {[paramKey: string]: any}, noThrow? :boolean, cacheLifeTime?: number): [T, (value: T) => Promise<T>];
-export function useRestRefresh<T>(path: string, params?: string | {[paramKey: string]: any}, cacheLifeTime?: number): (value: T) => Promise<T>;
-export function useRestResetter(): () => void;
+export type RestParams = string | {[paramKey: string]: any};
+export interface RestOptions {
+	noThrow?: boolean;
+	cacheLifeTime?: number;
+	swr?: boolean;
+	revalidateOnFocus?: boolean;
+	revalidateOnReconnect?: boolean;
+	focusThrottleInterval?: number;
+	tags?: string[];
+	refreshInterval?: number;
+	subscribe?: boolean;
+	suspense?: boolean;
+}
+export type RestMatcher = string | ((entry: {key: string, path: string, params: any}) => boolean) | {tags: string[]};
+export interface RestMeta {
+	isValidating: boolean;
+	/** error of the last fetch, set with the previous data when fetching it again in the background failed */
+	error: Error | RestError | null;
+}
+/** Error rejected by the API, as {result: "error", error, code, token} */
+export interface RestError {
+	result: "error";
+	error: string;
+	code?: number;
+	token?: string;
+	[field: string]: any;
+}
+
+/**
+ * Refresh function of a REST cache entry
+ * - refresh() fetches the entry again, clearing the current value while loading
+ * - refresh(true) fetches the entry again, keeping the current value while loading
+ * - refresh(response) sets the value, as if it was received from the API
+ */
+export interface RestRefresh<T> {
+	(keepValue?: boolean): Promise<T>;
+	(response: T): Promise<T>;
+}
+/** Loading: data is null */
+export type RestLoading<T> = [null, RestRefresh<T>, {isValidating: true, error: null}];
+/** Loaded: data is the API response */
+export type RestLoaded<T> = [T, RestRefresh<T>, RestMeta];
+/** Failed with noThrow: data is false */
+export type RestFailed<T> = [false, RestRefresh<T>, RestMeta];
+export type RestResult<T> = RestLoading<T> | RestLoaded<T>;
+export type RestResultNoThrow<T> = RestLoading<T> | RestLoaded<T> | RestFailed<T>;
+
+export function useRest<T = any>(path: string, params: RestParams | undefined, options: RestOptions & {noThrow: true, suspense: true}): RestLoaded<T> | RestFailed<T>;
+export function useRest<T = any>(path: string, params: RestParams | undefined, options: RestOptions & {noThrow?: false, suspense: true}): RestLoaded<T>;
+export function useRest<T = any>(path: string, params: RestParams | undefined, noThrow: true | (RestOptions & {noThrow: true}), cacheLifeTime?: number): RestResultNoThrow<T>;
+export function useRest<T = any>(path: string, params?: RestParams, noThrow?: false | RestOptions, cacheLifeTime?: number): RestResult<T>;
+export function useRestRefresh<T = any>(path: string, params?: RestParams, cacheLifeTime?: number | RestOptions): RestRefresh<T>;
+export interface RestPaging {
+	page_no: number;
+	page_max: number;
+	count: number;
+	results_per_page: number;
+}
+export interface RestPaginated<T> {
+	data: T[] | null | false;
+	paging: RestPaging | null;
+	page: number;
+	setPage: VarSetter<number>;
+	hasMore: boolean;
+	refresh: RestRefresh<any>;
+	isValidating: boolean;
+}
+export interface RestInfinite<T> {
+	items: T[];
+	pages: Array<any | null | false>;
+	loadMore: () => void;
+	hasMore: boolean;
+	isLoading: boolean;
+	error: any;
+	refresh: () => Promise<PromiseSettledResult<any>[]>;
+}
+export function useRestPaginated<T = any>(path: string, params?: RestParams, options?: RestOptions): RestPaginated<T>;
+export function useRestInfinite<T = any>(path: string, params?: RestParams, options?: RestOptions): RestInfinite<T>;
+export function restLoader<T = any>(path: string | ((args: any) => string), params?: RestParams | ((args: any) => RestParams), options?: RestOptions): (args: any) => Promise<T>;
+export function useRestResetter(): (options?: {broadcast?: boolean}) => void;
+export function useRestInvalidate(): (matcher: RestMatcher, options?: {drop?: boolean}) => Promise<any>;
+
+export interface RestMutationOptions<P = any> {
+	invalidate?: RestMatcher[];
+	optimistic?: {[keyOrPrefix: string]: (value: any, params: P) => any};
+}
+export type RestMutationState<T> =
+	| {loading: false; error: null; data: null}
+	| {loading: true; error: null; data: null}
+	| {loading: false; error: RestError | Error; data: null}
+	| {loading: false; error: null; data: T};
+export function useRestMutation<T = any, P = any>(path: string, verb?: string, options?: RestMutationOptions<P>): [(params?: P) => Promise<T | undefined>, RestMutationState<T>, (params?: P) => Promise<T>];
+
+export interface RestErrorBoundaryProps {
+	fallback?: ReactNode | ((error: any, retry: () => void) => ReactNode);
+	onError?: (error: any, info: ErrorInfo) => void;
+	children?: ReactNode;
+}
+export class RestErrorBoundary extends Component<RestErrorBoundaryProps, {error: any}> {
+	retry(): void;
+}
+
+export interface RestRequest {
+	path: string;
+	verb: string;
+	params: any;
+	context?: {[key: string]: any};
+	ctx: VarCtx;
+	signal?: AbortSignal;
+}
+export type RestMiddleware = (request: RestRequest, next: (request?: RestRequest) => Promise<any>) => Promise<any>;
+export interface RestRetryOptions {
+	retries?: number;
+	delay?: number;
+	factor?: number;
+	maxDelay?: number;
+	jitter?: boolean;
+	verbs?: string[];
+	shouldRetry?: (error: any, request: RestRequest, attempt: number) => boolean;
+}
+export interface RestAuthRefreshOptions {
+	refresh: (error: any, request: RestRequest) => any;
+	isAuthError?: (error: any) => boolean;
+}
+export interface RestInterceptorOptions {
+	request?: (request: RestRequest) => RestRequest | void | Promise<RestRequest | void>;
+	response?: (response: any, request: RestRequest) => any;
+	error?: (error: any, request: RestRequest) => any;
+}
+export function restRetry(options?: RestRetryOptions): RestMiddleware;
+export function restAuthRefresh(options: RestAuthRefreshOptions): RestMiddleware;
+export function restInterceptor(options: RestInterceptorOptions): RestMiddleware;
+
+// head
+export interface HeadData {
+	title?: string;
+	titleTemplate?: string;
+	defaultTitle?: string;
+	meta?: Array<{[attribute: string]: string | boolean | undefined}>;
+	link?: Array<{[attribute: string]: string | boolean | undefined}>;
+	script?: Array<{[attribute: string]: string | boolean | undefined; innerHTML?: string}>;
+	htmlAttributes?: {[attribute: string]: string | boolean | undefined};
+	bodyAttributes?: {[attribute: string]: string | boolean | undefined};
+}
+export function useHead(head: HeadData): void;
+export function Head(props: HeadData & {children?: ReactNode}): null;
+export const Helmet: ((props: HeadData & {children?: ReactNode}) => ReactNode) & {
+	/** Not supported, throws: head data is returned by the renderer */
+	renderStatic(): never;
+};
+
+// devtools
+export interface DevtoolsEvent {
+	type: "set" | "edit" | "fetch" | "fetched" | "abort" | "retry" | "push" | "invalidate" | "reset";
+	time: number;
+	key?: string;
+	[field: string]: any;
+}
+export interface DevtoolsVar {
+	name: string;
+	value: any;
+	subscribers: number;
+	persist: boolean;
+	sync: boolean;
+}
+export interface DevtoolsRestEntry {
+	key: string;
+	path: string;
+	params: string;
+	time: number | undefined;
+	status: "idle" | "loading" | "validating" | "success" | "error";
+	error: any;
+	tags: string[];
+}
+export interface DevtoolsHook {
+	ctx: VarCtx;
+	timeline: DevtoolsEvent[];
+	getVars(): DevtoolsVar[];
+	getRest(): DevtoolsRestEntry[];
+	setVar(varName: string, value: any): void;
+	refresh(key: string): Promise<any>;
+	subscribe(cb: (event: DevtoolsEvent) => void): () => void;
+}
+export function VarDevtools(): ReactElement | null;
+declare global {
+	interface Window {
+		__KLBFW_HOOKS__?: DevtoolsHook;
+	}
+}
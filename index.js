@@ -1,2 +1,5 @@
-export { useVar, useVarCtx, useVarSetter, usePromise, setPromise, run } from "./ssr";
-export { useRest, useRestRefresh, useRestResetter } from "./rest";
+export { useVar, useVarSelector, useVarReducer, useVarCtx, useVarSetter, usePromise, setPromise, useRenderError, run, makeRenderer, Context, getVarSetter } from "./ssr.js";
+export { useRest, useRestRefresh, useRestPaginated, useRestInfinite, useRestResetter, useRestInvalidate, useRestMutation, restLoader, RestErrorBoundary } from "./rest.js";
+export { useHead, Head, Helmet } from "./head.js";
+export { VarDevtools } from "./devtools.js";
+export { restRetry, restAuthRefresh, restInterceptor } from "./middleware.js";
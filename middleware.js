@@ -0,0 +1,183 @@
+/**
+ * Middleware applied to API calls made by the REST hooks
+ *
+ * A middleware is a function (request, next) returning a Promise of the API
+ * response. request is {path, verb, params, context, ctx, signal}, and next(request)
+ * passes the request to the next middleware, the last one performing the call
+ * with klbfw rest(). A middleware can change the request, the response or the
+ * error, call next() several times (retries), or not at all.
+ *
+ * Middleware are set with the restMiddleware option of run(), and apply to
+ * useRest, restLoader and useRestMutation. The first middleware of the list
+ * receives the request first.
+ */
+import { recordEvent } from "./devtools.js";
+
+/**
+ * Calls an API through a list of middleware
+ *
+ * @param {Array<Function>} middleware - List of middleware functions
+ * @param {Object} request - The request, as {path, verb, params, context, ctx, signal}
+ * @param {Function} call - Function receiving the request and performing the API call
+ * @returns {Promise} - Resolves with the API response
+ */
+export function applyRestMiddleware(middleware, request, call) {
+	const dispatch = (n, req) => {
+		if (n >= middleware.length) {
+			return call(req);
+		}
+		try {
+			return Promise.resolve(middleware[n](req, nextReq => dispatch(n + 1, nextReq || req)));
+		} catch (e) {
+			return Promise.reject(e);
+		}
+	};
+	return dispatch(0, request);
+}
+
+/**
+ * Internal helper checking if an error is worth retrying: network errors,
+ * server errors (5xx) and rate limiting (429)
+ *
+ * @param {any} error - Error thrown by the API call
+ * @returns {boolean} - True if the call can be retried
+ */
+function isTransientError(error) {
+	if (error instanceof TypeError) return true; // fetch failed
+	return !!error && typeof error.code === "number" && (error.code >= 500 || error.code === 429);
+}
+
+/**
+ * Internal helper waiting before a retry, unless the request is aborted
+ *
+ * @param {number} delay - Time to wait in milliseconds
+ * @param {AbortSignal} signal - Optional signal of the request
+ * @returns {Promise} - Resolves after the delay, rejects if the request is aborted
+ */
+function wait(delay, signal) {
+	return new Promise((resolve, reject) => {
+		if (signal && signal.aborted) {
+			reject(signal.reason);
+			return;
+		}
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal.reason);
+		};
+		const timer = setTimeout(() => {
+			if (signal) signal.removeEventListener("abort", onAbort);
+			resolve();
+		}, delay);
+		if (signal) signal.addEventListener("abort", onAbort, {once: true});
+	});
+}
+
+/**
+ * Creates a middleware retrying failed calls with exponential backoff
+ *
+ * By default only GET calls are retried, as calls modifying data may not be
+ * safe to repeat, and only for network errors, server errors (5xx) and 429.
+ *
+ * @param {Object} options - Optional configuration options
+ * @param {number} options.retries - Maximum number of retries (default 3)
+ * @param {number} options.delay - Delay before the first retry in milliseconds (default 500)
+ * @param {number} options.factor - Factor applied to the delay after each retry (default 2)
+ * @param {number} options.maxDelay - Maximum delay in milliseconds (default 10000)
+ * @param {boolean} options.jitter - Wait a random time between half and all of the delay (default true)
+ * @param {Array<string>} options.verbs - HTTP methods to retry (default ["GET"])
+ * @param {Function} options.shouldRetry - Function (error, request, attempt) returning true if the call should be retried
+ * @returns {Function} - The middleware
+ */
+export function restRetry(options = {}) {
+	const retries = typeof options.retries === "number" ? options.retries : 3;
+	const delay = typeof options.delay === "number" ? options.delay : 500;
+	const factor = typeof options.factor === "number" ? options.factor : 2;
+	const maxDelay = typeof options.maxDelay === "number" ? options.maxDelay : 10000;
+	const verbs = options.verbs || ["GET"];
+	const shouldRetry = options.shouldRetry || isTransientError;
+
+	return (request, next) => {
+		if (!verbs.includes(request.verb)) return next(request);
+
+		const attempt = n => next(request).catch(error => {
+			if (n >= retries || (request.signal && request.signal.aborted) || !shouldRetry(error, request, n + 1)) {
+				throw error;
+			}
+
+			let ms = Math.min(delay * Math.pow(factor, n), maxDelay);
+			if (options.jitter !== false) {
+				ms = ms / 2 + Math.random() * ms / 2;
+			}
+			if (request.ctx) {
+				recordEvent(request.ctx, "retry", {key: request.path, attempt: n + 1, delay: Math.round(ms), error: error});
+			}
+			return wait(ms, request.signal).then(() => attempt(n + 1));
+		});
+		return attempt(0);
+	};
+}
+
+/**
+ * Creates a middleware refreshing the session and replaying calls failing with an auth error
+ *
+ * Calls failing while a refresh is running wait for it, so the session is only
+ * refreshed once. Each call is replayed once; if the refresh fails, the original
+ * error is thrown.
+ *
+ * @param {Object} options - Configuration options
+ * @param {Function} options.refresh - Function (error, request) refreshing the session, returning a Promise
+ * @param {Function} options.isAuthError - Function (error) returning true for auth errors (default: code 401)
+ * @returns {Function} - The middleware
+ */
+export function restAuthRefresh(options) {
+	const isAuthError = options.isAuthError || (error => !!error && error.code === 401);
+	// refresh running for each context, concurrent SSR requests must not share sessions
+	const refreshing = new WeakMap();
+	const noCtx = {};
+
+	return (request, next) => next(request).catch(error => {
+		if (!isAuthError(error)) throw error;
+
+		const key = request.ctx || noCtx;
+		if (!refreshing.has(key)) {
+			const prom = Promise.resolve()
+				.then(() => options.refresh(error, request))
+				.finally(() => refreshing.delete(key));
+			refreshing.set(key, prom);
+		}
+
+		return refreshing.get(key).then(() => next(request), () => {
+			throw error;
+		});
+	});
+}
+
+/**
+ * Creates a middleware calling interceptors on requests, responses and errors,
+ * for logging or changing requests
+ *
+ * klbfw rest() does not accept headers: values to send with each call can be
+ * added to request.context (passed as context to rest()) or to request.params.
+ *
+ * @param {Object} options - Interceptors, all optional
+ * @param {Function} options.request - Function (request) returning the request to send, or nothing to send it unchanged, can be async
+ * @param {Function} options.response - Function (response, request) returning the response to use, or nothing to keep it, can be async
+ * @param {Function} options.error - Function (error, request) called when the call fails, the error is thrown again unless it returns a response, can be async
+ * @returns {Function} - The middleware
+ */
+export function restInterceptor(options) {
+	return (request, next) => Promise.resolve(options.request ? options.request(request) : undefined)
+		.then(req => {
+			req = req || request;
+			return next(req).then(res => {
+				if (!options.response) return res;
+				return Promise.resolve(options.response(res, req)).then(newRes => newRes === undefined ? res : newRes);
+			}, error => {
+				if (!options.error) throw error;
+				return Promise.resolve(options.error(error, req)).then(res => {
+					if (res === undefined) throw error;
+					return res;
+				});
+			});
+		});
+}
@@ -0,0 +1,142 @@
+/**
+ * Persistence of shared variables in localStorage/sessionStorage
+ *
+ * Values are stored as JSON under "klbfw:" followed by the variable name,
+ * together with a version number. When the stored version differs from the
+ * configured one, the migrate function is called to convert the value.
+ */
+
+/**
+ * Internal helper normalizing a persistence option
+ *
+ * @param {string} varName - The name of the shared variable
+ * @param {boolean|string|Object} option - true, "local", "session" or {storage, version, migrate, key}
+ * @returns {Object|null} - Normalized configuration, or null if not persisted
+ */
+function normalizeConfig(varName, option) {
+	if (!option) return null;
+
+	switch(typeof option) {
+	case "string":
+		option = {storage: option};
+		break;
+	case "object":
+		break;
+	default:
+		option = {};
+	}
+
+	return {
+		storage: option.storage === "session" ? "session" : "local",
+		version: option.version || 0,
+		migrate: option.migrate,
+		key: option.key || ("klbfw:" + varName),
+	};
+}
+
+/**
+ * Returns the persistence configuration for a variable
+ *
+ * The option passed to useVar is used if any, otherwise the first rule of the
+ * persist option of run() (stored in ctx["@persist"]) matching the variable name.
+ * A rule match can be a variable name, a RegExp or a function receiving the name.
+ *
+ * @param {Object} ctx - The context object
+ * @param {string} varName - The name of the shared variable
+ * @param {boolean|string|Object} option - Optional persistence option passed to useVar
+ * @returns {Object|null} - Persistence configuration, or null if not persisted
+ */
+export function getPersistConfig(ctx, varName, option) {
+	if (option) return normalizeConfig(varName, option);
+
+	for(let rule of (ctx["@persist"] || [])) {
+		if (matchVarName(rule.match, varName)) return normalizeConfig(varName, rule);
+	}
+
+	return null;
+}
+
+/**
+ * Checks if a variable name matches a rule
+ *
+ * @param {string|RegExp|Function} match - Variable name, RegExp or function receiving the name
+ * @param {string} varName - The name of the shared variable
+ * @returns {boolean} - True if the name matches
+ */
+export function matchVarName(match, varName) {
+	if (match instanceof RegExp) return match.test(varName);
+	if (typeof match === "function") return !!match(varName);
+	return match === varName;
+}
+
+/**
+ * Internal helper returning the Storage object for a configuration
+ *
+ * @param {Object} config - Persistence configuration
+ * @returns {Storage|null} - Storage object, or null if not available (SSR, disabled storage)
+ */
+function getStorage(config) {
+	if (typeof window === "undefined") return null;
+	try {
+		return config.storage === "session" ? window.sessionStorage : window.localStorage;
+	} catch (e) {
+		// access to storage may throw if disabled
+		return null;
+	}
+}
+
+/**
+ * Reads a persisted value, migrating it if it was stored with another version
+ *
+ * @param {Object} config - Persistence configuration
+ * @returns {any} - Stored value, or undefined if there is none
+ */
+export function readPersisted(config) {
+	const storage = getStorage(config);
+	if (!storage) return undefined;
+
+	let stored;
+	try {
+		stored = JSON.parse(storage.getItem(config.key));
+	} catch (e) {
+		return undefined;
+	}
+	if (!stored || typeof stored !== "object" || !stored.hasOwnProperty("value")) return undefined;
+
+	if (stored.version === config.version) return stored.value;
+
+	// stored by another version, migrate or drop
+	let value = undefined;
+	if (typeof config.migrate === "function") {
+		value = config.migrate(stored.value, stored.version);
+	}
+
+	if (value === undefined) {
+		storage.removeItem(config.key);
+	} else {
+		writePersisted(config, value);
+	}
+	return value;
+}
+
+/**
+ * Writes a value to storage
+ *
+ * @param {Object} config - Persistence configuration
+ * @param {any} value - Value to store, undefined removes it
+ */
+export function writePersisted(config, value) {
+	const storage = getStorage(config);
+	if (!storage) return;
+
+	try {
+		if (value === undefined) {
+			storage.removeItem(config.key);
+			return;
+		}
+		storage.setItem(config.key, JSON.stringify({version: config.version, value: value}));
+	} catch (e) {
+		// storage full or not JSON friendly
+		console.error('Failed to persist variable in ' + config.key + ':', e);
+	}
+}
@@ -1,30 +1,85 @@
+import {useState, useEffect, Component} from "react";
 import {rest} from "@karpeleslab/klbfw";
-import {useVar, setPromise, useVarCtx, getVarSetter} from "./ssr";
+import {Context, useVar, setPromise, useVarCtx, getVarSetter, getLoaderCtx} from "./ssr.js";
+import {broadcast, registerSyncHandler} from "./sync.js";
+import {recordEvent} from "./devtools.js";
+import {applyRestMiddleware} from "./middleware.js";
 
 /**
- * Hook to fetch data from the REST API with caching and SSR support
- * 
- * @param {string} path - API endpoint path
+ * Internal helper converting params to the string used in cache keys
+ *
  * @param {string|object} params - Query parameters as string or object
- * @param {boolean} noThrow - If true, doesn't throw errors but returns [false, refresh]
- * @param {number} cacheLifeTime - Optional cache lifetime in milliseconds
- * @returns {Array} - [data, refreshFunction] tuple
+ * @returns {string} - Params as a string
  */
-export function useRest(path, params, noThrow, cacheLifeTime) {
-	// ensure params is a string
+function paramsToString(params) {
 	switch(typeof params) {
 	case "string":
-		break;
+		return params;
 	case "undefined":
-		params = "";
-		break;
+		return "";
 	default:
-		params = JSON.stringify(params);
+		return JSON.stringify(params);
 	}
+}
 
-	const [v, setV] = useVar(path+"?"+params, null);
+/**
+ * Internal helper normalizing REST hook options
+ * 
+ * Options can be passed as an object instead of the noThrow argument, or for
+ * backward compatibility as separate noThrow and cacheLifeTime arguments.
+ * 
+ * @param {boolean|Object} noThrow - noThrow flag or options object
+ * @param {number|Object} cacheLifeTime - Cache lifetime in milliseconds or options object
+ * @returns {Object} - Options object
+ */
+function restOptions(noThrow, cacheLifeTime) {
+	if (typeof noThrow === "object" && noThrow !== null) return noThrow;
+	if (typeof cacheLifeTime === "object" && cacheLifeTime !== null) return {noThrow: noThrow, ...cacheLifeTime};
+	return {noThrow: noThrow, cacheLifeTime: cacheLifeTime};
+}
 
-	const ctx = useVarCtx();
+/**
+ * Internal helper performing an API call for a context
+ * 
+ * The call goes through the middleware of the context (restMiddleware option
+ * of run(), see middleware.js). A function stored in ctx["@restCall"], such as
+ * the REST mock of testing.js, is used instead of klbfw rest() when set.
+ * 
+ * @param {Object|null} ctx - The context object
+ * @param {string} path - API endpoint path
+ * @param {string} verb - HTTP method
+ * @param {string|object} params - Query parameters or request body
+ * @param {AbortSignal} signal - Optional signal aborting the call, stops retries
+ * @returns {Promise} - Resolves with the API response
+ */
+function callRest(ctx, path, verb, params, signal) {
+	const call = req => {
+		if (ctx && typeof ctx["@restCall"] === "function") {
+			return ctx["@restCall"](req.path, req.verb, req.params, req.context);
+		}
+		return rest(req.path, req.verb, req.params, req.context);
+	};
+	const request = {path: path, verb: verb, params: params, context: undefined, ctx: ctx, signal: signal};
+
+	if (!ctx || !(ctx["@restMiddleware"] instanceof Array) || ctx["@restMiddleware"].length === 0) {
+		return call(request);
+	}
+	return applyRestMiddleware(ctx["@restMiddleware"], request, call);
+}
+
+/**
+ * Internal helper returning the REST cache entry for a given path/params,
+ * creating it (and starting the API call if needed) when it doesn't exist yet
+ * 
+ * @param {Object} ctx - The context object
+ * @param {string} path - API endpoint path
+ * @param {string} params - Query parameters as string
+ * @param {any} v - Current value of the matching variable
+ * @param {Function} setV - Setter of the matching variable
+ * @param {Object} opts - Options as returned by restOptions()
+ * @returns {Object} - The REST cache entry
+ */
+function getRestData(ctx, path, params, v, setV, opts) {
 	if (!ctx.hasOwnProperty("@rest")) {
 		ctx["@rest"] = {};
 	}
@@ -37,57 +92,459 @@ export function useRest(path, params, noThrow, cacheLifeTime) {
 			path: path,
 			params: params,
 			set: setV,
-			time: undefined,
+			// values received from SSR are considered fetched now
+			time: v == null ? undefined : new Date().getTime(),
+			// request currently running, as {promise, controller}
+			pending: null,
+			// incremented on each request or value change, used to discard out of order responses
+			seq: 0,
+			// tags declared on useRest calls, used for invalidation
+			tags: new Set(),
 		};
 		ctxRest[path+"?"+params] = restData;
 
 		restData.refresh = (value) => {
 			if (typeof value === "object") {
+				// value set by the application or pushed by a subscription, any pending response is now outdated
+				restData.abort();
+				restData.seq++;
+				restData.time = new Date().getTime();
+				recordEvent(ctx, "push", {key: path+"?"+params, value: value});
 				restData.set({value: value});
-				return;
+				return Promise.resolve(value);
+			}
+
+			if (restData.pending) {
+				// a request is already running, share it
+				return restData.pending.promise;
 			}
 
-			let prom = rest(restData.path, "GET", restData.params);
+			const seq = ++restData.seq;
+			const key = restData.path+"?"+restData.params;
+			const start = new Date().getTime();
+			recordEvent(ctx, "fetch", {key: key, revalidate: value === true});
+			const controller = new AbortController();
+			let prom = new Promise((resolve, reject) => {
+				controller.signal.addEventListener("abort", () => reject(controller.signal.reason));
+				callRest(ctx, restData.path, "GET", restData.params, controller.signal).then(resolve, reject);
+			});
+			restData.pending = {promise: prom, controller: controller};
 
-			prom
-				.then(res => restData.set({value: res}))
-				.catch(e => restData.set({error: e}))
-				.finally(() => restData.time = new Date().getTime());
+			// keep the settled promise so SSR can wait for the value to be set
+			restData.promise = prom
+				.then(res => {
+					recordEvent(ctx, "fetched", {key: key, status: "success", duration: new Date().getTime() - start, outdated: seq !== restData.seq});
+					if (seq === restData.seq) restData.set({value: res});
+				}, e => {
+					recordEvent(ctx, "fetched", {key: key, status: "error", duration: new Date().getTime() - start, outdated: seq !== restData.seq, error: e});
+					if (seq !== restData.seq) return;
+					const cur = ctx[key].value;
+					if (value === true && cur != null && !cur.error) {
+						// failed in the background, keep serving the current value with the error next to it
+						restData.set({value: cur.value, revalidateError: e});
+					} else {
+						restData.set({error: e});
+					}
+				})
+				.finally(() => {
+					if (restData.pending && restData.pending.promise === prom) restData.pending = null;
+					if (seq === restData.seq) restData.time = new Date().getTime();
+				});
+			setPromise(ctx, restData.promise);
 
 			if (value !== true) {
 				restData.set(null);
+			} else {
+				// keep the current value, but flag it as being validated
+				const cur = ctx[restData.path+"?"+restData.params].value;
+				if (cur != null && !cur.validating) {
+					restData.set({...cur, validating: true});
+				}
 			}
 			return prom;
 		};
 
-		// only trigger API call if we do not have a value yet or we provide a cacheLifeTime
-		const cacheLifeTimeReached = (cacheLifeTime && restData.time && ((new Date().getTime()) - restData.time) > cacheLifeTime)
-		if (v == null || cacheLifeTimeReached) {
-			restData.time = undefined;
-			setPromise(ctx, restData.refresh());
+		// klbfw rest() cannot cancel the HTTP request, aborting rejects the pending
+		// promise right away and the response is ignored when received
+		restData.abort = (reason) => {
+			if (!restData.pending) return;
+			recordEvent(ctx, "abort", {key: restData.path+"?"+restData.params, reason: reason});
+			restData.seq++;
+			restData.pending.controller.abort(reason);
+			restData.pending = null;
+
+			// the current value, if any, is not being validated anymore
+			const cur = ctx[restData.path+"?"+restData.params].value;
+			if (cur != null && cur.validating) {
+				const {validating, ...value} = cur;
+				restData.set(value);
+			}
+		};
+
+		for(let tag of (opts.tags || [])) restData.tags.add(tag);
+
+		// only trigger API call if we do not have a value yet
+		if (v == null) {
+			restData.refresh();
+			return restData;
 		}
 	} else {
 		restData = ctxRest[path+"?"+params];
-		const cacheLifeTimeReached = (cacheLifeTime && restData.time && (new Date().getTime() - restData.time) > cacheLifeTime)
-		if (cacheLifeTimeReached) {
-			restData.time = undefined;
-			setPromise(ctx, restData.refresh());
+		for(let tag of (opts.tags || [])) restData.tags.add(tag);
+
+		if (v == null && !restData.pending) {
+			// previous request was aborted before we got a value
+			restData.refresh();
+			return restData;
 		}
 	}
 
+	// refresh if we provide a cacheLifeTime and it was reached
+	const cacheLifeTimeReached = (opts.cacheLifeTime && restData.time && ((new Date().getTime()) - restData.time) > opts.cacheLifeTime)
+	if (cacheLifeTimeReached) {
+		recordEvent(ctx, "invalidate", {key: path+"?"+params, reason: "cacheLifeTime"});
+		restData.time = undefined;
+		// in stale-while-revalidate mode, keep serving the current value while fetching
+		restData.refresh(opts.swr === true);
+	}
+
+	return restData;
+}
+
+/**
+ * Internal hook revalidating REST cache entries when the window gets focus or
+ * the network comes back, for stale-while-revalidate mode
+ * 
+ * @param {Object} ctx - The context object
+ * @param {Array<string>} keys - REST cache keys
+ * @param {Object} opts - Options as returned by restOptions()
+ */
+function useRevalidateEvents(ctx, keys, opts) {
+	const onFocus = opts.swr === true && opts.revalidateOnFocus !== false;
+	const onReconnect = opts.swr === true && opts.revalidateOnReconnect !== false;
+	const throttle = typeof opts.focusThrottleInterval === "number" ? opts.focusThrottleInterval : 5000;
+	const keyList = keys.join("\n");
+
+	useEffect(() => {
+		if (typeof window === "undefined" || (!onFocus && !onReconnect)) return;
+
+		const revalidate = e => {
+			for(let key of keyList.split("\n")) {
+				const restData = ctx.hasOwnProperty("@rest") ? ctx["@rest"][key] : undefined;
+				// do nothing if the entry is gone, being fetched, or fetched recently
+				if (!restData || !restData.time || ((new Date().getTime()) - restData.time) < throttle) continue;
+				recordEvent(ctx, "invalidate", {key: key, reason: e.type});
+				restData.time = undefined;
+				restData.refresh(true);
+			}
+		};
+		const onVisible = e => {
+			if (document.visibilityState === "visible") revalidate(e);
+		};
+
+		if (onFocus) {
+			window.addEventListener("focus", revalidate);
+			document.addEventListener("visibilitychange", onVisible);
+		}
+		if (onReconnect) {
+			window.addEventListener("online", revalidate);
+		}
+
+		return () => {
+			window.removeEventListener("focus", revalidate);
+			document.removeEventListener("visibilitychange", onVisible);
+			window.removeEventListener("online", revalidate);
+		};
+	}, [ctx, keyList, onFocus, onReconnect, throttle]);
+}
+
+/**
+ * Internal hook aborting the pending requests of REST cache entries when their
+ * last subscriber unmounts
+ * 
+ * @param {Object} ctx - The context object
+ * @param {Array<string>} keys - REST cache keys
+ */
+function useAbortOnUnmount(ctx, keys) {
+	const keyList = keys.join("\n");
+
+	useEffect(() => {
+		return () => {
+			// check later, as the component may be mounted again right away (StrictMode)
+			setTimeout(() => {
+				for(let key of keyList.split("\n")) {
+					const restData = ctx.hasOwnProperty("@rest") ? ctx["@rest"][key] : undefined;
+					if (!restData || !restData.pending) continue;
+					if (ctx.hasOwnProperty(key) && ctx[key].subscribers.size > 0) continue;
+					restData.abort();
+				}
+			}, 0);
+		};
+	}, [ctx, keyList]);
+}
+
+/**
+ * Internal helper scheduling the next poll of a REST cache entry, for the
+ * refreshInterval option
+ * 
+ * The shortest interval requested by mounted components is used, counted from
+ * the last time the entry was fetched or received a value. Nothing is scheduled
+ * while the document is hidden.
+ * 
+ * @param {Object} ctx - The context object
+ * @param {string} key - REST cache key
+ */
+function schedulePoll(ctx, key) {
+	const live = ctx.hasOwnProperty("@restLive") ? ctx["@restLive"][key] : undefined;
+	if (!live) return;
+
+	clearTimeout(live.timer);
+	live.timer = null;
+	if (live.intervals.length === 0 || document.visibilityState === "hidden") return;
+
+	const interval = Math.min(...live.intervals);
+	const restData = ctx.hasOwnProperty("@rest") ? ctx["@rest"][key] : undefined;
+	if (restData && restData.pending) {
+		// count from the end of the running request
+		restData.promise.then(() => schedulePoll(ctx, key));
+		return;
+	}
+
+	const elapsed = restData && restData.time ? new Date().getTime() - restData.time : 0;
+	live.timer = setTimeout(() => {
+		live.timer = null;
+		const restData = ctx.hasOwnProperty("@rest") ? ctx["@rest"][key] : undefined;
+		// the entry may have been fetched in the meantime, or be gone after a reset
+		if (restData && !restData.pending && (!restData.time || new Date().getTime() - restData.time >= interval)) {
+			recordEvent(ctx, "invalidate", {key: key, reason: "refreshInterval"});
+			restData.refresh(true);
+		}
+		schedulePoll(ctx, key);
+	}, Math.max(interval - elapsed, 0));
+}
+
+/**
+ * Internal helper keeping a REST cache entry up to date for a mounted component:
+ * polling every interval milliseconds, and subscription to values pushed through
+ * the restSubscribe option of run()
+ * 
+ * Polling and subscriptions are shared by all components using the entry, and
+ * stop when the last one stops watching it.
+ * 
+ * @param {Object} ctx - The context object
+ * @param {string} key - REST cache key
+ * @param {number} interval - Refresh interval in milliseconds, or 0 to not poll
+ * @param {boolean} subscribe - If true, subscribe to pushed values
+ * @returns {Function} - Function to call when the component unmounts
+ */
+function watchLive(ctx, key, interval, subscribe) {
+	if (!ctx.hasOwnProperty("@restLive")) {
+		ctx["@restLive"] = {};
+	}
+	if (!ctx["@restLive"].hasOwnProperty(key)) {
+		ctx["@restLive"][key] = {
+			// refresh intervals of mounted components
+			intervals: [],
+			// pending poll timer
+			timer: null,
+			// visibilitychange listener, set while polling
+			onVisible: null,
+			// number of mounted components subscribed to pushed values
+			subscribers: 0,
+			// function returned by restSubscribe
+			unsubscribe: null,
+		};
+	}
+	const live = ctx["@restLive"][key];
+
+	if (interval) {
+		live.intervals.push(interval);
+		if (!live.onVisible) {
+			// pause while hidden, and catch up when visible again
+			live.onVisible = () => schedulePoll(ctx, key);
+			document.addEventListener("visibilitychange", live.onVisible);
+		}
+		schedulePoll(ctx, key);
+	}
+
+	if (subscribe && live.subscribers++ === 0) {
+		const n = key.indexOf("?");
+		const entry = {key: key, path: key.substring(0, n), params: parseParams(key.substring(n + 1))};
+		live.unsubscribe = ctx["@restSubscribe"](entry, value => {
+			const restData = ctx.hasOwnProperty("@rest") ? ctx["@rest"][key] : undefined;
+			if (restData) restData.refresh(value);
+		});
+	}
+
+	return () => {
+		if (interval) {
+			live.intervals.splice(live.intervals.indexOf(interval), 1);
+			if (live.intervals.length === 0) {
+				document.removeEventListener("visibilitychange", live.onVisible);
+				live.onVisible = null;
+			}
+			schedulePoll(ctx, key);
+		}
+
+		if (subscribe && --live.subscribers === 0) {
+			if (typeof live.unsubscribe === "function") live.unsubscribe();
+			live.unsubscribe = null;
+		}
+
+		if (live.intervals.length === 0 && live.subscribers === 0 && ctx["@restLive"][key] === live) {
+			delete ctx["@restLive"][key];
+		}
+	};
+}
+
+/**
+ * Internal hook keeping REST cache entries up to date while components use them:
+ * polling for the refreshInterval option, and subscription to values pushed
+ * through the restSubscribe option of run()
+ * 
+ * @param {Object} ctx - The context object
+ * @param {Array<string>} keys - REST cache keys
+ * @param {Object} opts - Options as returned by restOptions()
+ */
+function useLiveUpdates(ctx, keys, opts) {
+	const interval = typeof opts.refreshInterval === "number" && opts.refreshInterval > 0 ? opts.refreshInterval : 0;
+	const subscribe = typeof ctx["@restSubscribe"] === "function" && opts.subscribe !== false;
+	const keyList = keys.join("\n");
+
+	useEffect(() => {
+		if (typeof window === "undefined" || (!interval && !subscribe)) return;
+
+		const stops = keyList.split("\n").map(key => watchLive(ctx, key, interval, subscribe));
+		return () => stops.forEach(stop => stop());
+	}, [ctx, keyList, interval, subscribe]);
+}
+
+/**
+ * Converts params back to an object, such as the params string of a cache entry
+ * This is also used by the REST mock of testing.js.
+ * 
+ * @param {string|object} params - Query parameters as string, or as passed to an API call
+ * @returns {Object|string} - Parsed params, or the string itself if it isn't JSON
+ */
+export function parseParams(params) {
+	if (params === undefined || params === "") return {};
+	if (typeof params !== "string") return params;
+	try {
+		return JSON.parse(params);
+	} catch (e) {
+		return params;
+	}
+}
+
+/**
+ * Internal helper fetching a REST cache entry again after its data changed,
+ * keeping its current value meanwhile
+ * 
+ * A request already running may have started before the change, so it is
+ * aborted instead of being shared, and its response is ignored.
+ * 
+ * @param {Object} restData - The REST cache entry
+ * @returns {Promise} - Resolves with the API response
+ */
+function revalidateRest(restData) {
+	restData.abort();
+	return restData.refresh(true);
+}
+
+/**
+ * Internal helper returning REST cache entries matching a given matcher
+ * 
+ * The matcher can be:
+ * - a string containing a "?", compared to the full cache key (path?params)
+ * - any other string, matching all entries whose key starts with it
+ * - a function receiving {key, path, params} and returning true for matching entries
+ * - an object {tags: [...]}, matching entries declared with any of these tags
+ * 
+ * @param {Object} ctx - The context object
+ * @param {string|Function|Object} matcher - Entry matcher
+ * @returns {Array<Object>} - Matching REST cache entries
+ */
+function findRestEntries(ctx, matcher) {
+	if (!ctx.hasOwnProperty("@rest")) return [];
+	const ctxRest = ctx["@rest"];
+
+	let match;
+	switch(typeof matcher) {
+	case "string":
+		match = matcher.indexOf("?") === -1 ? (k => k.startsWith(matcher)) : (k => k === matcher);
+		break;
+	case "function":
+		match = (k, restData) => matcher({key: k, path: restData.path, params: parseParams(restData.params)});
+		break;
+	default:
+		match = (k, restData) => matcher.tags.some(tag => restData.tags.has(tag));
+	}
+
+	let res = [];
+	for(let k in ctxRest) {
+		if (match(k, ctxRest[k])) {
+			res.push(ctxRest[k]);
+		}
+	}
+	return res;
+}
+
+/**
+ * Hook to fetch data from the REST API with caching and SSR support
+ * 
+ * The third argument can also be an options object:
+ * - noThrow: If true, doesn't throw errors but returns [false, refresh]
+ * - cacheLifeTime: Cache lifetime in milliseconds
+ * - swr: Stale-while-revalidate mode, keep serving the cached value while it is fetched again
+ * - revalidateOnFocus: In swr mode, fetch again when the window gets focus (default true)
+ * - revalidateOnReconnect: In swr mode, fetch again when the network comes back (default true)
+ * - focusThrottleInterval: Minimum time in milliseconds between fetches on focus/reconnect (default 5000)
+ * - tags: List of tags for this entry, that can be used with useRestInvalidate()
+ * - refreshInterval: Fetch again every given number of milliseconds while the document is visible
+ * - subscribe: If false, do not subscribe to values pushed through the restSubscribe option of run() (default true)
+ * - suspense: If true, suspend while loading instead of returning null, defaults to the suspense option of run()
+ * 
+ * @param {string} path - API endpoint path
+ * @param {string|object} params - Query parameters as string or object
+ * @param {boolean|Object} noThrow - If true, doesn't throw errors but returns [false, refresh]
+ * @param {number} cacheLifeTime - Optional cache lifetime in milliseconds
+ * @returns {Array} - [data, refreshFunction, {isValidating, error}] tuple
+ */
+export function useRest(path, params, noThrow, cacheLifeTime) {
+	// ensure params is a string
+	params = paramsToString(params);
+	const opts = restOptions(noThrow, cacheLifeTime);
+
+	const [v, setV] = useVar(path+"?"+params, null);
+
+	const ctx = useVarCtx();
+	const restData = getRestData(ctx, path, params, v, setV, opts);
+
+	useRevalidateEvents(ctx, [path+"?"+params], opts);
+	useAbortOnUnmount(ctx, [path+"?"+params]);
+	useLiveUpdates(ctx, [path+"?"+params], opts);
+
 	if (v == null) {
-		return [null, restData.refresh];
+		// in suspense mode (or streaming SSR), let the closest Suspense boundary wait for the data
+		const suspense = opts.suspense === undefined ? ctx["@suspense"] === true : opts.suspense === true;
+		if (suspense && restData.promise) {
+			throw restData.promise;
+		}
+		return [null, restData.refresh, {isValidating: true, error: null}];
 	}
 
+	// error of the last fetch, including a failed background revalidation
+	const meta = {isValidating: v.validating === true, error: v.error || v.revalidateError || null};
+
 	if (v.error) {
-		if (noThrow === true) {
+		if (opts.noThrow === true) {
 			// this is used so that refresh() can be accessed
-			return [false, restData.refresh];
+			return [false, restData.refresh, meta];
 		}
 		throw v.error;
 	}
 
-	return [v.value, restData.refresh];
+	return [v.value, restData.refresh, meta];
 }
 
 /**
@@ -95,94 +552,382 @@ export function useRest(path, params, noThrow, cacheLifeTime) {
  * 
  * @param {string} path - API endpoint path
  * @param {string|object} params - Query parameters as string or object
- * @param {number} cacheLifeTime - Optional cache lifetime in milliseconds
+ * @param {number|Object} cacheLifeTime - Optional cache lifetime in milliseconds, or options object as for useRest
  * @returns {Function} - Refresh function that returns a Promise
  */
 export function useRestRefresh(path, params, cacheLifeTime) {
 	// ensure params is a string
-	switch(typeof params) {
-	case "string":
-		break;
-	case "undefined":
-		params = "";
-		break;
-	default:
-		params = JSON.stringify(params);
-	}
+	params = paramsToString(params);
+	const opts = restOptions(undefined, cacheLifeTime);
 
 	const ctx = useVarCtx();
 	const [v, setV] = getVarSetter(ctx, path+"?"+params, null);
 
-	if (!ctx.hasOwnProperty("@rest")) {
-		ctx["@rest"] = {};
+	return getRestData(ctx, path, params, v, setV, opts).refresh;
+}
+
+/**
+ * Internal helper returning the params of one page of a paginated endpoint
+ * 
+ * page_no is added to the params, so they must be an object or a JSON string.
+ * 
+ * @param {string} params - Query parameters as string
+ * @param {number} page - Page number
+ * @returns {Object} - Params with page_no set
+ */
+function pageParams(params, page) {
+	const obj = parseParams(params);
+	if (typeof obj !== "object" || obj === null || obj instanceof Array) {
+		throw new Error("Params of a paginated endpoint must be an object or a JSON string, got " + JSON.stringify(params));
 	}
-	const ctxRest = ctx["@rest"];
+	return {...obj, page_no: page};
+}
 
-	let restData = null;
+/**
+ * Hook to fetch one page of a paginated KLB list endpoint
+ * 
+ * The current page is stored as a shared variable, so it is kept across
+ * components and passed to the client in SSR mode.
+ * 
+ * @param {string} path - API endpoint path
+ * @param {string|object} params - Query parameters as object or JSON string, without page_no
+ * @param {Object} options - Optional options object as for useRest
+ * @returns {Object} - {data, paging, page, setPage, hasMore, refresh, isValidating}
+ */
+export function useRestPaginated(path, params, options = {}) {
+	params = paramsToString(params);
 
-	if (!ctxRest.hasOwnProperty(path+"?"+params)) {
-		restData = {
-			path: path,
-			params: params,
-			set: setV,
-			time: undefined,
-		};
-		ctxRest[path+"?"+params] = restData;
+	const [page, setPage] = useVar(path+"?"+params+"#page", 1);
+	const [res, refresh, meta] = useRest(path, pageParams(params, page), options);
 
-		restData.refresh = (value) => {
-			if (typeof value === "object") {
-				restData.set({value: value});
-				return;
-			}
-			let prom = rest(restData.path, "GET", restData.params);
+	const paging = res ? res.paging : null;
 
-			prom
-				.then(res => restData.set({value: res}))
-				.catch(e => restData.set({error: e}))
-				.finally(() => restData.time = new Date().getTime());
+	return {
+		data: res ? res.data : res,
+		paging: paging,
+		page: page,
+		setPage: setPage,
+		hasMore: !!paging && paging.page_no < paging.page_max,
+		refresh: refresh,
+		isValidating: meta.isValidating,
+	};
+}
 
-			if (value !== true) {
-				restData.set(null);
-			}
-			return prom;
-		};
+/**
+ * Hook to fetch a KLB list endpoint page by page, for infinite scrolling
+ * 
+ * Each page is a regular REST cache entry (with page_no added to params), so
+ * the first page rendered in SSR is hydrated without being fetched again. The
+ * number of loaded pages is stored as a shared variable.
+ * 
+ * @param {string} path - API endpoint path
+ * @param {string|object} params - Query parameters as object or JSON string, without page_no
+ * @param {Object} options - Optional options object as for useRest, applied to every page
+ * @returns {Object} - {items, pages, loadMore, hasMore, isLoading, error, refresh}
+ */
+export function useRestInfinite(path, params, options = {}) {
+	params = paramsToString(params);
+	const opts = restOptions(options);
+
+	const ctx = useVarCtx();
+	const [count, setCount] = useVar(path+"?"+params+"#pages", 1);
+
+	// re-render this component when any of the pages is updated
+	const [, setUpdate] = useState(0);
+	const [update] = useState(() => () => setUpdate(n => n + 1));
 
-		// only trigget API call if we do not have a value yet
-		const cacheLifeTimeReached = (cacheLifeTime && restData.time && ((new Date().getTime()) - restData.time) > cacheLifeTime)
-		if (v == null || cacheLifeTimeReached) {
-			restData.time = undefined;
-			setPromise(ctx, restData.refresh());
+	let keys = [];
+	for(let n = 1; n <= count; n++) {
+		keys.push(path+"?"+paramsToString(pageParams(params, n)));
+	}
+
+	const pages = keys.map(key => {
+		const [v, setV] = getVarSetter(ctx, key, null);
+		getRestData(ctx, path, key.substring(path.length + 1), v, setV, opts);
+		// value may have been reset if a request was just started
+		return ctx[key].value;
+	});
+
+	useRevalidateEvents(ctx, keys, opts);
+	useAbortOnUnmount(ctx, keys);
+	useLiveUpdates(ctx, keys, opts);
+
+	useEffect(() => {
+		const unsubscribe = keys.map(key => ctx[key].subscribe(update));
+
+		// a page may have been updated between render and subscription
+		if (keys.some((key, n) => ctx[key].value !== pages[n])) {
+			update();
 		}
-	} else {
-		restData = ctxRest[path+"?"+params];
-		const cacheLifeTimeReached = (cacheLifeTime && restData.time && ((new Date().getTime()) - restData.time) > cacheLifeTime)
-		if (cacheLifeTimeReached) {
-			restData.time = undefined;
-			setPromise(ctx, restData.refresh());
+
+		return () => {
+			unsubscribe.forEach(cb => cb());
+		};
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [ctx, keys.join("\n")]);
+
+	const failed = pages.find(v => v != null && v.error);
+	if (failed && opts.noThrow !== true) {
+		throw failed.error;
+	}
+
+	const last = pages[pages.length - 1];
+	const paging = last && last.value ? last.value.paging : null;
+	const isLoading = pages.some(v => v == null);
+	const hasMore = !!paging && paging.page_no < paging.page_max;
+
+	let items = [];
+	for(let v of pages) {
+		if (v != null && v.value && v.value.data instanceof Array) {
+			items = items.concat(v.value.data);
 		}
 	}
 
-	return restData.refresh;
+	return {
+		items: items,
+		pages: pages.map(v => v == null ? null : (v.error ? false : v.value)),
+		loadMore: () => {
+			if (!hasMore || isLoading) return;
+			setCount(count + 1);
+		},
+		hasMore: hasMore,
+		isLoading: isLoading,
+		error: failed ? failed.error : null,
+		refresh: () => Promise.allSettled(keys.map(key => ctx["@rest"][key] && ctx["@rest"][key].refresh(true))),
+	};
+}
+
+/**
+ * Creates a React Router loader fetching a REST endpoint through the REST cache
+ * 
+ * The loaded value is stored in the same cache as useRest, so components using
+ * the same path and params will not fetch it again, and in SSR it is passed to
+ * the client with other variables. Path and params can be functions receiving
+ * the loader arguments ({params, request, context}).
+ * 
+ * @param {string|Function} path - API endpoint path
+ * @param {string|object|Function} params - Query parameters as string or object
+ * @param {Object} options - Optional options object as for useRest (noThrow, cacheLifeTime, swr)
+ * @returns {Function} - Loader function resolving to the API response
+ */
+export function restLoader(path, params, options = {}) {
+	return async (args) => {
+		const loaderPath = typeof path === "function" ? path(args) : path;
+		const loaderParams = paramsToString(typeof params === "function" ? params(args) : params);
+		const opts = restOptions(options);
+
+		const ctx = getLoaderCtx(args && args.context);
+		if (!ctx) {
+			// not running through run(), call the API directly
+			return callRest(ctx, loaderPath, "GET", loaderParams);
+		}
+
+		const [v, setV] = getVarSetter(ctx, loaderPath+"?"+loaderParams, null);
+		const restData = getRestData(ctx, loaderPath, loaderParams, v, setV, opts);
+
+		if (restData.pending) {
+			await restData.promise;
+		}
+
+		const res = ctx[loaderPath+"?"+loaderParams].value;
+		if (res == null) return null;
+		if (res.error) {
+			if (opts.noThrow === true) return false;
+			throw res.error;
+		}
+		return res.value;
+	};
 }
 
+/**
+ * Internal helper clearing all REST cache of a context
+ * 
+ * @param {Object} ctx - The context object
+ */
+function resetRest(ctx) {
+	if (!ctx.hasOwnProperty("@rest")) return; // no rest
+
+	const oldRest = ctx["@rest"];
+	ctx["@rest"] = {};
+	recordEvent(ctx, "reset", {});
+
+	// abort pending requests and trigger state erasure everywhere
+	for(let k in oldRest) {
+		oldRest[k].abort();
+		oldRest[k].set(null);
+	}
+}
+
+// REST cache was reset in another tab
+registerSyncHandler("rest-reset", ctx => resetRest(ctx));
+
 /**
  * Returns a function that clears all REST API cache
  * Useful for scenarios like logout where you want to reset all cached data
  * 
+ * When called with {broadcast: true}, the REST cache of other tabs is cleared too.
+ * 
  * @returns {Function} - Function that clears all REST cache when called
  */
 export function useRestResetter() {
 	const ctx = useVarCtx();
 
-	return () => {
-		if (!ctx.hasOwnProperty("@rest")) return; // no rest
+	return (options = {}) => {
+		resetRest(ctx);
 
-		const oldRest = ctx["@rest"];
-		ctx["@rest"] = {};
+		if (options.broadcast === true) {
+			broadcast(ctx, "rest-reset", {});
+		}
+	};
+}
+
+/**
+ * Returns a function that invalidates matching REST cache entries
+ * 
+ * invalidate(matcher, options) accepts an exact cache key (path?params), a path
+ * prefix, a predicate receiving {key, path, params}, or {tags: [...]} matching
+ * tags declared on useRest calls. Matching entries are fetched again while
+ * keeping their current value (replacing any request already running), or
+ * dropped if options.drop is true. Only components using these entries are updated.
+ * 
+ * @returns {Function} - invalidate(matcher, options) function returning a Promise
+ */
+export function useRestInvalidate() {
+	const ctx = useVarCtx();
 
-		// trigger state erasure everywhere
-		for(let k in oldRest) {
-			oldRest[k].set(null);
+	return (matcher, options = {}) => {
+		const entries = findRestEntries(ctx, matcher);
+		for(let restData of entries) {
+			recordEvent(ctx, "invalidate", {key: restData.path+"?"+restData.params, reason: options.drop === true ? "drop" : "invalidate"});
 		}
+
+		if (options.drop === true) {
+			for(let restData of entries) {
+				restData.abort();
+				delete ctx["@rest"][restData.path+"?"+restData.params];
+				restData.set(null);
+			}
+			return Promise.resolve();
+		}
+
+		return Promise.allSettled(entries.map(revalidateRest));
 	};
 }
+
+/**
+ * Hook to perform a REST call modifying data (POST, PATCH, DELETE, etc.)
+ * 
+ * On success, REST cache entries matching options.invalidate are fetched again
+ * in the background, even if a request was already running. Entries matching a
+ * key of options.optimistic are updated right away, ignoring the response of
+ * requests already running, and restored to their previous value if the call fails.
+ * 
+ * @param {string} path - API endpoint path
+ * @param {string} verb - HTTP method, defaults to "POST"
+ * @param {Object} options - Optional configuration options
+ * @param {Array} options.invalidate - Cache keys, path prefixes, predicates or {tags} to refresh on success (see useRestInvalidate)
+ * @param {Object} options.optimistic - Map of cache key or path prefix to a function (value, params) => newValue
+ * @returns {Array} - [mutate, {loading, error, data}, mutateAsync] tuple, mutate(params) returns a Promise
+ *   resolving with the response, or undefined if the call failed (the error is in the state),
+ *   mutateAsync(params) returns a Promise rejecting if the call fails
+ */
+export function useRestMutation(path, verb, options = {}) {
+	const ctx = useVarCtx();
+	const [state, setState] = useState({loading: false, error: null, data: null});
+
+	const mutateAsync = (params) => {
+		setState({loading: true, error: null, data: null});
+
+		// apply optimistic updates, keeping previous values for rollback
+		let rollback = [];
+		for(let matcher in (options.optimistic || {})) {
+			for(let restData of findRestEntries(ctx, matcher)) {
+				const variable = ctx[restData.path+"?"+restData.params];
+				if (variable.value == null || variable.value.error) continue; // nothing to update
+				// a response received now would replace the optimistic value
+				restData.abort();
+				const prev = variable.value;
+				rollback.push([restData, prev]);
+				restData.set({value: options.optimistic[matcher](prev.value, params)});
+			}
+		}
+
+		return callRest(ctx, path, verb || "POST", params)
+			.then(res => {
+				setState({loading: false, error: null, data: res});
+				for(let matcher of (options.invalidate || [])) {
+					for(let restData of findRestEntries(ctx, matcher)) {
+						recordEvent(ctx, "invalidate", {key: restData.path+"?"+restData.params, reason: "mutation " + path});
+						revalidateRest(restData);
+					}
+				}
+				return res;
+			}, e => {
+				for(let [restData, prev] of rollback) {
+					restData.set(prev);
+				}
+				setState({loading: false, error: e, data: null});
+				throw e;
+			});
+	};
+
+	// the error is available in the state, callers do not have to handle it
+	const mutate = (params) => mutateAsync(params).catch(() => undefined);
+
+	return [mutate, state, mutateAsync];
+}
+
+/**
+ * Error boundary for components using useRest
+ * 
+ * Renders props.fallback instead of its children when one of them throws, such as
+ * useRest receiving an error without noThrow. The fallback can be an element, or a
+ * function receiving (error, retry) where retry() fetches failed REST calls again
+ * and renders the children. props.onError receives (error, info) when an error is caught.
+ * 
+ * Like all React error boundaries, this only applies in the browser: errors thrown
+ * during SSR render the errorElement of run() instead.
+ */
+export class RestErrorBoundary extends Component {
+	constructor(props) {
+		super(props);
+		this.state = {error: null};
+		this.retry = this.retry.bind(this);
+	}
+
+	static getDerivedStateFromError(error) {
+		return {error: error};
+	}
+
+	componentDidCatch(error, info) {
+		if (typeof this.props.onError === "function") {
+			this.props.onError(error, info);
+		}
+	}
+
+	retry() {
+		// fetch again entries that failed, so children render as loading instead of throwing again
+		const ctx = this.context;
+		const ctxRest = ctx["@rest"] || {};
+		for(let key in ctxRest) {
+			const v = ctx[key].value;
+			if (v != null && v.error) {
+				ctxRest[key].refresh();
+			}
+		}
+		this.setState({error: null});
+	}
+
+	render() {
+		if (this.state.error === null) {
+			return this.props.children;
+		}
+
+		const fallback = this.props.fallback;
+		if (typeof fallback === "function") {
+			return fallback(this.state.error, this.retry);
+		}
+		return fallback === undefined ? null : fallback;
+	}
+}
+RestErrorBoundary.contextType = Context;
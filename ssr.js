@@ -1,9 +1,14 @@
-import React, { useState, useContext, useEffect } from 'react';
+import React, { useCallback, useContext, useEffect, useRef, useSyncExternalStore } from 'react';
 import { createRoot, hydrateRoot } from 'react-dom/client';
 import * as ReactDOMServer from 'react-dom/server';
 import { createBrowserRouter, createStaticHandler, createStaticRouter, RouterProvider, StaticRouterProvider } from "react-router-dom";
 import { getPrefix, getUuid, getPath, getUrl, getInitialState } from "@karpeleslab/klbfw";
-import { Helmet } from "react-helmet";
+import { getPersistConfig, readPersisted, writePersisted } from "./persist.js";
+import { setupSync, isSynced, broadcast, registerSyncHandler } from "./sync.js";
+import { serializeVar, deserializeVar } from "./codec.js";
+import { resetHead, renderHead } from "./head.js";
+import { setupDevtools, recordEvent } from "./devtools.js";
+import { isDev } from "./env.js";
 
 /**
  * Context for the shared variable system
@@ -12,61 +17,264 @@ import { Helmet } from "react-helmet";
 export const Context = React.createContext({});
 Context.displayName = "Context";
 
+/**
+ * Internal helper creating a named variable in a context
+ * 
+ * @param {Object} ctx - The context object
+ * @param {string} varName - The name of the shared variable
+ * @param {any} value - Initial value of the variable
+ * @returns {Object} - The variable, as {value, subscribers, subscribe, getSnapshot, notify, setter, ...}
+ */
+function createVar(ctx, varName, value) {
+	const variable = {
+		value: value,
+		// listeners called when the value changes
+		subscribers: new Set(),
+		subscribe: cb => {
+			variable.subscribers.add(cb);
+			return () => variable.subscribers.delete(cb);
+		},
+		getSnapshot: () => variable.value,
+		// update the value in this tab only
+		notify: newVal => {
+			if (Object.is(variable.value, newVal)) return; // no change
+			variable.value = newVal;
+			variable.subscribers.forEach(cb => cb());
+		},
+		setter: newVal => {
+			if (typeof newVal === "function") {
+				// functional update, computed from the latest value
+				newVal = newVal(variable.value);
+			}
+			if (Object.is(variable.value, newVal)) return; // no change
+			variable.notify(newVal);
+			recordEvent(ctx, "set", {key: varName, value: newVal});
+			if (variable.persist) {
+				writePersisted(variable.persist, newVal);
+			}
+			if (variable.sync) {
+				broadcast(ctx, "set", {key: varName, value: newVal});
+			}
+		},
+		// persistence configuration, if the variable matches a persist rule of run()
+		persist: getPersistConfig(ctx, varName),
+		// true once the persisted value has been applied
+		restored: false,
+		// true if the value is synchronized with other tabs
+		sync: isSynced(ctx, varName),
+	};
+	ctx[varName] = variable;
+
+	// components selecting from the variable before it existed, see watchVar()
+	const waiting = ctx["@watch"] && ctx["@watch"][varName];
+	if (waiting) {
+		delete ctx["@watch"][varName];
+		// variables can be created while another component renders, update afterwards
+		queueMicrotask(() => waiting.forEach(cb => cb()));
+	}
+
+	// during SSR, components already rendered selected from the variable before it
+	// existed, render again so they match what the client renders from the initial state
+	if (ctx["@selected"] && ctx["@selected"].has(varName)) {
+		ctx["@selected"].delete(varName);
+		setPromise(ctx, Promise.resolve());
+	}
+	return variable;
+}
+
+/**
+ * Internal helper subscribing to a named variable of a context, which may not
+ * exist yet. In this case the variable is not created, so the default value of
+ * the first useVar() call still applies, and cb is called once it is created.
+ * 
+ * @param {Object} ctx - The context object
+ * @param {string} varName - The name of the shared variable
+ * @param {Function} cb - Listener called when the value changes
+ * @returns {Function} - Function removing the subscription
+ */
+function watchVar(ctx, varName, cb) {
+	if (ctx.hasOwnProperty(varName)) {
+		return ctx[varName].subscribe(cb);
+	}
+
+	if (!ctx.hasOwnProperty("@watch")) {
+		ctx["@watch"] = {};
+	}
+	if (!ctx["@watch"].hasOwnProperty(varName)) {
+		ctx["@watch"][varName] = new Set();
+	}
+	const waiting = ctx["@watch"][varName];
+
+	let unsubscribe = null;
+	const onCreated = () => {
+		unsubscribe = ctx[varName].subscribe(cb);
+		cb();
+	};
+	waiting.add(onCreated);
+
+	return () => {
+		if (unsubscribe) {
+			unsubscribe();
+			return;
+		}
+		waiting.delete(onCreated);
+		if (waiting.size === 0 && ctx["@watch"][varName] === waiting) {
+			delete ctx["@watch"][varName];
+		}
+	};
+}
+
+// value of a synchronized variable changed in another tab
+registerSyncHandler("set", (ctx, msg) => {
+	if (ctx.hasOwnProperty(msg.key)) {
+		ctx[msg.key].notify(msg.value);
+	} else {
+		createVar(ctx, msg.key, msg.value);
+	}
+});
+
 /**
  * Creates/accesses a named variable with shared state across components
  * 
  * useVar works similar to useState() except:
  * - All vars with the same name will share the same value
  * - Values will be passed to the client mode when running in SSR, so avoid storing stuff that is not JSON friendly
+ *   (Date, Map, Set and BigInt values are supported, see codec.js)
  * - Setter will always be the same object for a given variable
+ * - Like with useState(), the setter accepts a function receiving the current value and returning the new one
  * - Special case: variable names starting with a "@" will not be passed to client
  * 
+ * Options:
+ * - persist: Store the value in localStorage (true or "local") or sessionStorage ("session"),
+ *   or {storage, version, migrate, key}. The stored value is applied right after hydration.
+ * - sync: Synchronize the value with other tabs of the same application
+ * 
  * @param {string} varName - The name of the shared variable
  * @param {any} defaultValue - Default value if the variable doesn't exist yet
+ * @param {Object} options - Optional options object
  * @returns {Array} - [value, setter] tuple similar to useState
  */
-export function useVar(varName, defaultValue) {
+export function useVar(varName, defaultValue, options = {}) {
 	const ctx = useContext(Context);
 
-	// generate state
-	const [v, setV] = useState({key: varName});
+	if (!ctx.hasOwnProperty(varName)) {
+		createVar(ctx, varName, defaultValue);
+	}
+	const variable = ctx[varName];
+
+	if (options.persist && !variable.persist) {
+		variable.persist = getPersistConfig(ctx, varName, options.persist);
+	}
+	if (options.sync && !variable.sync && typeof window !== 'undefined') {
+		variable.sync = !!setupSync(ctx);
+	}
+
+	// subscribe to the variable, on the server the current value is used without subscribing
+	const value = useSyncExternalStore(variable.subscribe, variable.getSnapshot, variable.getSnapshot);
+
+	usePersistedValue(variable);
+
+	return [value, variable.setter];
+}
+
+/**
+ * Internal hook applying the persisted value of a variable after hydration,
+ * so the first render matches the server
+ * 
+ * @param {Object} variable - The variable
+ */
+function usePersistedValue(variable) {
+	useEffect(() => {
+		if (!variable.persist || variable.restored) return;
 
-	if (v.key != varName) {
-		// remove from old var
-		if (ctx.hasOwnProperty(v.key)) {
-			ctx[v.key].subscribers.delete(setV);
+		variable.restored = true;
+		const stored = readPersisted(variable.persist);
+		if (stored !== undefined) {
+			variable.setter(stored);
 		}
+	}, [variable]);
+}
 
-		v.key = varName; // update value without re-render
-	}
+/**
+ * Subscribes to a part of a named variable
+ * 
+ * The component is only rendered again when the selected part changes, as
+ * compared by isEqual (defaults to Object.is). This is useful for large shared
+ * objects where a component only uses a few fields.
+ * 
+ * The variable is not created if it doesn't exist yet: selector receives
+ * undefined until a useVar() call creates it with its default value. In SSR,
+ * the page is then rendered again so the selection matches the client.
+ * 
+ * @param {string} varName - The name of the shared variable
+ * @param {Function} selector - Function receiving the value and returning the part to use
+ * @param {Function} isEqual - Optional function comparing two selected values
+ * @returns {any} - The selected value
+ */
+export function useVarSelector(varName, selector, isEqual = Object.is) {
+	const ctx = useContext(Context);
 
-	if (!ctx.hasOwnProperty(varName)) {
-		ctx[varName] = {
-			value: defaultValue,
-			subscribers: new Set(),
-			setter: newVal => {
-				ctx[varName].value = newVal;
-				ctx[varName].subscribers.forEach(cb => cb({key: varName, newVal: newVal}));
+	const subscribe = useCallback(cb => watchVar(ctx, varName, cb), [ctx, varName]);
+
+	// keep the last selection so an equal selection returns the same object
+	const last = useRef(null);
+
+	const getSelection = () => {
+		const variable = ctx.hasOwnProperty(varName) ? ctx[varName] : undefined;
+		const value = variable ? variable.value : undefined;
+		if (!variable && ctx["@promises"] instanceof Array) {
+			// rendering on server, see createVar()
+			if (!ctx.hasOwnProperty("@selected")) {
+				ctx["@selected"] = new Set();
 			}
-		};
-	}
+			ctx["@selected"].add(varName);
+		}
+		const prev = last.current;
+		if (prev && prev.variable === variable && prev.selector === selector && Object.is(prev.value, value)) {
+			return prev.selection;
+		}
 
-	// add setV to subscribers now
-	ctx[varName].subscribers.add(setV);
+		const selection = selector(value);
+		if (prev && prev.variable === variable && isEqual(prev.selection, selection)) {
+			prev.value = value;
+			prev.selector = selector;
+			return prev.selection;
+		}
 
-	// set cleanup to remove setV from subscribers
-	useEffect(() => {
-		return () => {
-			ctx[varName].subscribers.delete(setV);
-		};
-		// eslint-disable-next-line react-hooks/exhaustive-deps
-	}, []);
+		last.current = {variable: variable, selector: selector, value: value, selection: selection};
+		return selection;
+	};
 
-	return [ctx[varName].value, ctx[varName].setter];
+	return useSyncExternalStore(subscribe, getSelection, getSelection);
+}
+
+/**
+ * Creates/accesses a named variable updated through a reducer, similar to useReducer()
+ * 
+ * The reducer is registered once per variable name: the first reducer used for
+ * a variable is used by all components dispatching actions to it.
+ * 
+ * @param {string} varName - The name of the shared variable
+ * @param {Function} reducer - Function receiving (state, action) and returning the new state
+ * @param {any} initial - Initial state if the variable doesn't exist yet
+ * @returns {Array} - [state, dispatch] tuple similar to useReducer
+ */
+export function useVarReducer(varName, reducer, initial) {
+	const ctx = useContext(Context);
+	const [value] = useVar(varName, initial);
+	const variable = ctx[varName];
+
+	if (!variable.dispatch) {
+		variable.reducer = reducer;
+		variable.dispatch = action => variable.setter(prev => variable.reducer(prev, action));
+	}
+
+	return [value, variable.dispatch];
 }
 
 /**
- * Internal helper function to get or create a variable setter in a context
+ * Returns the value and setter of a named variable of a context, creating it if needed
+ * This can be used outside of components, such as in loaders or beforeRender().
  * 
  * @param {Object} ctx - The context object
  * @param {string} varName - The name of the shared variable
@@ -75,14 +283,7 @@ export function useVar(varName, defaultValue) {
  */
 export function getVarSetter(ctx, varName, defaultValue) {
 	if (!ctx.hasOwnProperty(varName)) {
-		ctx[varName] = {
-			value: defaultValue,
-			subscribers: new Set(),
-			setter: newVal => {
-				ctx[varName].value = newVal;
-				ctx[varName].subscribers.forEach(cb => cb({key: varName, newVal: newVal}));
-			}
-		};
+		createVar(ctx, varName, defaultValue);
 	}
 
 	return [ctx[varName].value, ctx[varName].setter];
@@ -113,25 +314,110 @@ export function useVarCtx() {
 
 /**
  * Registers a promise for SSR to wait on before rendering
- * @deprecated This function is kept for backwards compatibility only. Promises are now handled directly by React Router.
+ * 
+ * During server rendering, makeRenderer() waits for registered promises and
+ * renders the application again once they settle. Outside of SSR this does nothing.
  * 
  * @param {Object} ctx - The context object
  * @param {Promise} prom - The promise to register
  */
 export function setPromise(ctx, prom) {
-	// No-op function kept for backward compatibility
-	return;
+	if (!(ctx["@promises"] instanceof Array)) return; // not rendering on server
+	if (!prom || typeof prom.then !== "function") return;
+
+	ctx["@promises"].push(prom);
 }
 
 /**
  * Hook to register a promise for SSR to wait on before rendering
- * @deprecated This hook is kept for backwards compatibility only. Promises are now handled directly by React Router Data APIs.
  * 
  * @param {Promise} prom - The promise to register
  */
 export function usePromise(prom) {
-	// No-op function kept for backward compatibility
-	return;
+	const ctx = useContext(Context);
+	setPromise(ctx, prom);
+}
+
+/**
+ * Internal helper to wait for a list of promises to settle, up to a given delay
+ * 
+ * @param {Array<Promise>} promises - Promises to wait for
+ * @param {number} delay - Maximum time to wait in milliseconds
+ * @returns {Promise<boolean>} - Resolves with false if the delay was reached
+ */
+function waitSettled(promises, delay) {
+	let timer;
+	return Promise.race([
+		Promise.allSettled(promises).then(() => true),
+		new Promise(resolve => timer = setTimeout(() => resolve(false), delay))
+	]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Internal helper waiting for the promises passed to run() before rendering
+ *
+ * Promises can be passed as is, or as {label, promise} objects so they can be
+ * identified in timings and errors. Promises that did not settle after
+ * options.promiseTimeout (default 10000) milliseconds are reported as "timeout".
+ *
+ * @param {Array} promises - Promises, or {label, promise} objects
+ * @param {Object} options - Options of run(), with optional promiseTimeout
+ * @returns {Promise<Array>} - Resolves with a list of {label, status, time, error}, status being "fulfilled", "rejected" or "timeout"
+ */
+async function waitPromises(promises, options) {
+	const timeout = options.promiseTimeout || 10000;
+	const start = Date.now();
+	let done = false;
+
+	const timings = [];
+	const waits = promises.map((entry, n) => {
+		const labeled = entry !== null && typeof entry === "object" && typeof entry.then !== "function" && "promise" in entry;
+		const timing = {label: (labeled && entry.label) || "promise #" + n, status: "timeout", time: timeout};
+		timings.push(timing);
+
+		const settled = (status, error) => {
+			if (done) return; // too late, already reported as a timeout
+			timing.status = status;
+			timing.time = Date.now() - start;
+			if (status === "rejected") timing.error = error;
+		};
+		return Promise.resolve(labeled ? entry.promise : entry).then(() => settled("fulfilled"), error => settled("rejected", error));
+	});
+
+	await waitSettled(waits, timeout);
+	done = true;
+	return timings;
+}
+
+/**
+ * Internal helper returning the error to report for a failed promise
+ *
+ * @param {Object} timing - Timing of the promise as returned by waitPromises()
+ * @returns {any} - The rejection reason, or an Error for timeouts
+ */
+function promiseError(timing) {
+	if (timing.status === "timeout") {
+		return new Error(`Promise "${timing.label}" did not settle after ${timing.time}ms`);
+	}
+	return timing.error;
+}
+
+// Name of the variable holding the error rendered by the error element, passed to the client
+const ERROR_VAR = "klbfw:error";
+
+// Context used by route loaders in the browser, set by run()
+let browserCtx = null;
+
+/**
+ * Internal helper returning the context object to use in a route loader
+ * On the server this is the context of the current request, passed by makeRenderer().
+ * 
+ * @param {Object} context - The context argument received by the loader
+ * @returns {Object|null} - The context object, or null if not running through run()
+ */
+export function getLoaderCtx(context) {
+	if (context && context["@varCtx"]) return context["@varCtx"];
+	return browserCtx;
 }
 
 // Helper function to create a fetch request from our internal URL format
@@ -148,6 +434,259 @@ function createFetchRequest(url, query) {
 	});
 }
 
+/**
+ * Internal helper copying headers of a Response to a plain object
+ * Headers describing the body itself are skipped, as the body will be our HTML.
+ * 
+ * @param {Object} target - Object receiving headers
+ * @param {Headers} headers - Headers to copy
+ * @returns {Object} - The target object
+ */
+function copyHeaders(target, headers) {
+	headers.forEach((value, name) => {
+		if (["content-type", "content-length", "content-encoding", "location"].includes(name)) return;
+		target[name] = value;
+	});
+	return target;
+}
+
+/**
+ * Internal helper copying the value of variables to the initial state object (skipping internal vars)
+ * Values are converted to JSON friendly data, see codec.js
+ * 
+ * @param {Object} varCtx - The context object
+ * @param {Object} initial - Object receiving the values
+ * @param {Object} options - Renderer options, with optional codecs
+ */
+function copyInitialState(varCtx, initial, options) {
+	for(let varName in varCtx) {
+		if (varName.charAt(0) === "@") continue;
+		initial[varName] = serializeVar(varName, varCtx[varName].value, options);
+	}
+}
+
+/**
+ * Internal helper returning an inline script that merges values into the klbfw initial state
+ * 
+ * @param {Object} initial - Initial state values
+ * @returns {string} - HTML script tag
+ */
+function initialStateScript(initial) {
+	// escape characters that could close the script tag or break the JS string
+	const json = JSON.stringify(initial)
+		.replace(/</g, "\\u003c")
+		.replace(/\u2028/g, "\\u2028")
+		.replace(/\u2029/g, "\\u2029");
+
+	return "<script>(function(w){w.FW=w.FW||{};w.FW.initial=Object.assign(w.FW.initial||{}," + json + ");})(window);</script>";
+}
+
+/**
+ * Internal helper rendering the application as a stream
+ * 
+ * Resolves once the shell is ready, with result.stream set to a ReadableStream
+ * of HTML. Variables are emitted as an inline script once everything rendered,
+ * at which point result.initial is filled too.
+ * 
+ * @param {Object} app - The React element to render
+ * @param {Object} varCtx - The context object
+ * @param {Object} result - The render result object
+ * @param {Object} options - Renderer options
+ */
+async function renderStream(app, varCtx, result, options) {
+	// useRest will throw pending promises so Suspense boundaries can wait for data
+	varCtx["@suspense"] = true;
+	resetHead(varCtx, true);
+
+	// abort rendering of boundaries still pending once the timeout is reached,
+	// these will be rendered on the client instead
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort(new Error('SSR: render timeout reached')), options.renderTimeout || 10000);
+
+	let appStream;
+	try {
+		appStream = await ReactDOMServer.renderToReadableStream(app, {
+			signal: controller.signal,
+			onError: error => {
+				if (controller.signal.aborted) return;
+				console.error('SSR: error while streaming:', error);
+			}
+		});
+	} catch (error) {
+		clearTimeout(timer);
+		throw error;
+	}
+
+	// head data of the shell
+	Object.assign(result, renderHead(varCtx));
+
+	const reader = appStream.getReader();
+	const encoder = new TextEncoder();
+
+	result.stream = new ReadableStream({
+		async pull(streamController) {
+			const { done, value } = await reader.read();
+			if (!done) {
+				streamController.enqueue(value);
+				return;
+			}
+
+			clearTimeout(timer);
+			copyInitialState(varCtx, result.initial, options);
+			streamController.enqueue(encoder.encode(initialStateScript(result.initial)));
+			streamController.close();
+		},
+		cancel(reason) {
+			clearTimeout(timer);
+			controller.abort(reason);
+			return reader.cancel(reason);
+		}
+	});
+}
+
+/**
+ * Internal helper rendering the application for a request
+ * 
+ * In streaming mode, resolves once the shell is ready with result.stream set.
+ * Otherwise the application is rendered, waiting for promises registered during
+ * render (such as useRest calls) and rendering again until nothing is pending,
+ * then result.app, result.initial and head data are set.
+ * 
+ * @param {Object} app - The React element to render
+ * @param {Object} varCtx - The context object
+ * @param {Object} result - The render result object
+ * @param {Object} options - Renderer options
+ */
+async function renderApp(app, varCtx, result, options) {
+	if (options.stream) {
+		// Streaming mode: send the shell early and let Suspense boundaries fill in
+		await renderStream(app, varCtx, result, options);
+		return;
+	}
+	
+	const maxPasses = options.maxRenderPasses || 5;
+	const deadline = Date.now() + (options.renderTimeout || 10000);
+	
+	try {
+		for(let pass = 1; ; pass++) {
+			// head data is collected again by each pass
+			varCtx["@promises"] = [];
+			resetHead(varCtx, true);
+			
+			let renderError = null;
+			try {
+				result.app = ReactDOMServer.renderToString(app);
+			} catch (error) {
+				// a component may throw while its data is still loading
+				renderError = error;
+			}
+			
+			const pending = varCtx["@promises"];
+			if (pending.length === 0 || pass >= maxPasses || Date.now() >= deadline) {
+				if (pending.length > 0) {
+					console.error(`SSR: rendering with ${pending.length} pending promise(s) after ${pass} pass(es)`);
+				}
+				if (renderError) throw renderError;
+				break;
+			}
+			
+			if (!await waitSettled(pending, deadline - Date.now())) {
+				console.error('SSR: render timeout reached while waiting for promises');
+			}
+		}
+	} finally {
+		delete varCtx["@promises"];
+		delete varCtx["@selected"];
+	}
+	
+	copyInitialState(varCtx, result.initial, options);
+	Object.assign(result, renderHead(varCtx));
+}
+
+/**
+ * Internal helper converting an error to a plain object that can be passed to the client
+ * Only the name, message, status and KLB error token are kept, the stack and other fields are dropped.
+ * 
+ * @param {any} error - The error, an Error object or a rejected REST response
+ * @returns {Object} - {name, message, status, token}
+ */
+function sanitizeError(error) {
+	if (error === null || typeof error !== "object") {
+		return {name: "Error", message: String(error)};
+	}
+	
+	let res = {
+		name: typeof error.name === "string" ? error.name : "Error",
+		message: String(error.message || error.error || "Unknown error"),
+	};
+	const status = error.status || error.code;
+	if (typeof status === "number") res.status = status;
+	if (typeof error.token === "string") res.token = error.token;
+	return res;
+}
+
+/**
+ * Internal helper returning the element rendering options.errorElement for an error
+ * The sanitized error is stored in a variable, so it is passed to the client and
+ * can be read with useRenderError().
+ * 
+ * @param {any} error - The error
+ * @param {Object} ctx - The context object
+ * @param {Object} options - Options of run(), with errorElement
+ * @returns {Object} - The React element to render
+ */
+function errorApp(error, ctx, options) {
+	const [, setError] = getVarSetter(ctx, ERROR_VAR, null);
+	setError(sanitizeError(error));
+	
+	return React.createElement(Context.Provider, {value: ctx}, wrapApp(options, options.errorElement, ctx));
+}
+
+/**
+ * Returns the error that caused the error element of run() to be rendered
+ * 
+ * This can be used in the errorElement to display details about the error.
+ * The error has been sanitized so it can be passed from SSR to the client.
+ * 
+ * @returns {Object|null} - {name, message, status, token}, or null
+ */
+export function useRenderError() {
+	const [error] = useVar(ERROR_VAR, null);
+	return error;
+}
+
+/**
+ * Internal helper wrapping the element rendered inside the context provider with the wrapApp option
+ * 
+ * @param {Object} options - Options of run(), with optional wrapApp
+ * @param {Object} element - The React element to render
+ * @param {Object} ctx - The context object
+ * @returns {Object} - The element to render
+ */
+function wrapApp(options, element, ctx) {
+	if (typeof options.wrapApp !== "function") return element;
+	return options.wrapApp(element, ctx);
+}
+
+/**
+ * Internal helper passing a render result to the server, once the afterRender option processed it
+ * 
+ * @param {Object} result - The render result object
+ * @param {Function} cbk - Callback of the renderer
+ * @param {Object} options - Renderer options, with optional afterRender
+ * @param {Object} varCtx - The context object
+ */
+async function sendResult(result, cbk, options, varCtx) {
+	if (typeof options.afterRender === "function") {
+		try {
+			await options.afterRender(result, varCtx);
+		} catch (error) {
+			result.error = error;
+		}
+	}
+	cbk(result);
+}
+
 /**
  * Creates a server-side renderer function for a given application routes
  * This is used internally by the run() function for SSR mode
@@ -155,16 +694,35 @@ function createFetchRequest(url, query) {
  * Example use: global._renderToString = makeRenderer(routes);
  * 
  * @param {Array} routes - The route configuration for React Router
- * @param {Array<Promise>} promises - Optional array of promises to wait for
+ * @param {Array<Promise|Object>} promises - Optional array of promises to wait for, or {label, promise} objects
  * @param {Object} options - Optional configuration options
  * @param {Object} options.routerProps - Additional props to pass to the StaticRouterProvider
+ * @param {number} options.maxRenderPasses - Maximum number of render passes while waiting for data (default 5)
+ * @param {number} options.renderTimeout - Maximum time in milliseconds to wait for data during render (default 10000)
+ * @param {boolean} options.stream - If true, result.stream is set to a ReadableStream of HTML instead of result.app
+ * @param {boolean} options.suspense - If true, useRest suspends while loading by default
+ * @param {Object} options.codecs - Map of variable name to {serialize, deserialize} used for the initial state
+ * @param {Function} options.serialize - Function (value, varName) converting values for the initial state
+ * @param {number} options.promiseTimeout - Maximum time in milliseconds to wait for promises (default 10000)
+ * @param {string} options.promiseFailure - What to do when a promise fails or times out: "continue" (default), "abort" or "error"
+ * @param {Object} options.errorElement - React element rendered with a 500 status instead of the application when rendering fails, or when promiseFailure is "error"
+ * @param {Function} options.beforeRender - Function (request, varCtx) called before loading data for each request, can be async
+ * @param {Function} options.wrapApp - Function (element, varCtx) receiving the element rendered inside the context provider and returning the element to render
+ * @param {Function} options.afterRender - Function (result, varCtx) called before passing each result to the server, can be async
+ * @param {Array<Function>} options.restMiddleware - Middleware (request, next) applied to API calls of the REST hooks
  * @returns {Function} - Renderer function that accepts a callback
  */
 export function makeRenderer(routes, promises, options = {}) {
 	return async function(cbk) {
-		let result = { uuid: getUuid(), initial: {} };
+		let result = { uuid: getUuid(), initial: {}, timings: { promises: [] } };
 
 		let varCtx = {};
+		if (options.suspense === true) {
+			varCtx["@suspense"] = true;
+		}
+		if (options.restMiddleware instanceof Array) {
+			varCtx["@restMiddleware"] = options.restMiddleware;
+		}
 		
 		// Get URL information from klbfw
 		const pathname = getPrefix() + getPath();
@@ -183,18 +741,35 @@ export function makeRenderer(routes, promises, options = {}) {
 			// Create a fetch request from the current URL
 			const fetchRequest = createFetchRequest(fullUrl, search);
 			
+			// Let the application prepare the context of this request (CSP nonce, etc)
+			if (typeof options.beforeRender === "function") {
+				await options.beforeRender(fetchRequest, varCtx);
+			}
+			
 			// Run the query to get data and check for redirects
-			const context = await query(fetchRequest);
+			// Loaders receive varCtx through the request context so they can use the REST cache
+			const context = await query(fetchRequest, { requestContext: { "@varCtx": varCtx } });
 			
-			// Check if the context is a Response (which could be a redirect)
+			// query() only returns a Response for redirects, other Responses returned
+			// or thrown by loaders are in the context
 			if (context instanceof Response) {
-				// Check if it's a redirect status code
-				if ([301, 302, 303, 307, 308].includes(context.status)) {
-					// This is a redirect - set properties and return
-					result.redirect = context.headers.get("Location");
-					result.statusCode = context.status;
-					cbk(result);
-					return;
+				result.statusCode = context.status;
+				result.headers = copyHeaders({}, context.headers);
+				result.redirect = context.headers.get("Location");
+				await sendResult(result, cbk, options, varCtx);
+				return;
+			}
+			
+			// Status code is 404 for unmatched routes, or set from errors and Responses thrown by loaders
+			result.statusCode = context.statusCode || 200;
+			result.headers = {};
+			for(let match of context.matches || []) {
+				const routeId = match.route.id;
+				if (context.loaderHeaders && context.loaderHeaders[routeId]) {
+					copyHeaders(result.headers, context.loaderHeaders[routeId]);
+				}
+				if (context.actionHeaders && context.actionHeaders[routeId]) {
+					copyHeaders(result.headers, context.actionHeaders[routeId]);
 				}
 			}
 			
@@ -209,62 +784,60 @@ export function makeRenderer(routes, promises, options = {}) {
 				...(options.routerProps || {})
 			};
 			
-			const app = React.createElement(
+			let app = React.createElement(
 				Context.Provider,
 				{value: varCtx},
-				React.createElement(
+				wrapApp(options, React.createElement(
 					StaticRouterProvider, 
 					routerProps
-				)
+				), varCtx)
 			);
 			
 			try {
-				// Handle initial promises if needed (for backward compatibility)
+				// Wait for promises passed to run(), such as i18n or auth initialization
 				if (promises instanceof Array && promises.length > 0) {
-					try {
-						// Wait for promises with a timeout
-						await Promise.race([
-							Promise.all(promises),
-							new Promise((_, reject) => 
-								setTimeout(() => reject(new Error('Promise timeout after 10 seconds')), 10000)
-							)
-						]);
-					} catch (promiseError) {
-						console.error('Error resolving server-side promises:', promiseError);
-						// Continue rendering even if promises fail
+					result.timings.promises = await waitPromises(promises, options);
+					
+					const failed = result.timings.promises.filter(timing => timing.status !== "fulfilled");
+					for(let timing of failed) {
+						console.error(`SSR: promise "${timing.label}" failed (${timing.status} after ${timing.time}ms):`, promiseError(timing));
+					}
+					
+					if (failed.length > 0 && options.promiseFailure === "error" && options.errorElement) {
+						// render the error element instead of the application
+						result.statusCode = 500;
+						app = errorApp(promiseError(failed[0]), varCtx, options);
+					} else if (failed.length > 0 && ["abort", "error"].includes(options.promiseFailure)) {
+						result.statusCode = 500;
+						result.error = promiseError(failed[0]);
+						await sendResult(result, cbk, options, varCtx);
+						return;
 					}
 				}
 				
-				// Render the application using ReactDOMServer
-				result.app = ReactDOMServer.renderToString(app);
-				
-				// pass values from varCtx to result.initial (skipping internal vars)
-				for(let varName in varCtx) {
-					if (varName.charAt(0) === "@") continue;
-					result.initial[varName] = varCtx[varName].value;
+				const renderStart = Date.now();
+				try {
+					await renderApp(app, varCtx, result, options);
+				} catch (error) {
+					if (!options.errorElement) throw error;
+					
+					// render a 500 page, the client will hydrate the same page from the initial state
+					console.error('SSR: error while rendering, rendering the error element instead:', error);
+					result.statusCode = 500;
+					await renderApp(errorApp(error, varCtx, options), varCtx, result, options);
 				}
+				result.timings.render = Date.now() - renderStart;
 				
-				// grab helmet data
-				Helmet.canUseDOM = false;
-				const helmet = Helmet.renderStatic();
-				
-				result.title = helmet.title ? helmet.title.toString() : null;
-				result.meta = helmet.meta ? helmet.meta.toString() : null;
-				result.script = helmet.script ? helmet.script.toString() : null;
-				result.link = helmet.link ? helmet.link.toString() : null;
-				result.bodyAttributes = helmet.bodyAttributes ? helmet.bodyAttributes.toString() : null;
-				result.htmlAttributes = helmet.htmlAttributes ? helmet.htmlAttributes.toString() : null;
-				
-				cbk(result);
+				await sendResult(result, cbk, options, varCtx);
 			} catch (error) {
 				result.error = error;
-				cbk(result);
+				await sendResult(result, cbk, options, varCtx);
 			}
 			
 		} catch (error) {
 			// Handle any errors during the process
 			result.error = error;
-			cbk(result);
+			await sendResult(result, cbk, options, varCtx);
 		}
 	};
 }
@@ -274,10 +847,28 @@ export function makeRenderer(routes, promises, options = {}) {
  * Replaces ReactDOM.render/hydrate with SSR support
  * 
  * @param {Object} routes - A React Router routes configuration object
- * @param {Array<Promise>|Object} promisesOrOptions - Optional array of promises to wait for, or options object
+ * @param {Array<Promise|Object>|Object} promisesOrOptions - Optional array of promises (or {label, promise} objects) to wait for, or options object
  * @param {Object} [options] - Optional configuration options
  * @param {Object} [options.routerProps] - Additional props to pass to the Router component
  * @param {Object} [options.contextProps] - Additional props to pass to the Context.Provider
+ * @param {number} [options.maxRenderPasses] - SSR only: maximum number of render passes while waiting for data
+ * @param {number} [options.renderTimeout] - SSR only: maximum time in milliseconds to wait for data during render
+ * @param {boolean} [options.stream] - SSR only: stream the HTML through result.stream instead of result.app
+ * @param {boolean} [options.suspense] - Make useRest suspend while loading by default
+ * @param {Array<Object>} [options.persist] - Client only: persistence rules {match, storage, version, migrate} for variables
+ * @param {Array} [options.sync] - Client only: names, RegExps or functions matching variables to synchronize across tabs
+ * @param {Object} [options.codecs] - Map of variable name to {serialize, deserialize} for the SSR initial state
+ * @param {Function} [options.serialize] - SSR only: function (value, varName) converting values for the initial state
+ * @param {Function} [options.deserialize] - Client only: function (data, varName) converting values of the initial state
+ * @param {number} [options.promiseTimeout] - Maximum time in milliseconds to wait for promises (default 10000)
+ * @param {string} [options.promiseFailure] - What to do when a promise fails or times out: "continue" (default), "abort" or "error"
+ * @param {Object} [options.errorElement] - React element rendered instead of the application when SSR fails (the client hydrates it too), or when promiseFailure is "error"
+ * @param {Function} [options.beforeRender] - SSR only: function (request, varCtx) called before loading data for each request, can be async
+ * @param {Function} [options.wrapApp] - Function (element, varCtx) receiving the element rendered inside the context provider, returning the element to render (to add providers)
+ * @param {Function} [options.afterRender] - SSR only: function (result, varCtx) called before passing each result to the server, can add fields or change the output
+ * @param {Array<Function>} [options.restMiddleware] - Middleware (request, next) applied to API calls of the REST hooks, see middleware.js
+ * @param {Function} [options.restSubscribe] - Browser only: function ({key, path, params}, push) called when a REST cache entry is first used, subscribing to values pushed with push(response), returning an unsubscribe function
+ * @param {boolean} [options.devtools] - Browser only: record a timeline of changes and expose variables and REST cache as window.__KLBFW_HOOKS__ (see VarDevtools), ignored in production builds
  */
 export function run(routes, promisesOrOptions, options) {
 	// Handle different parameter combinations
@@ -294,6 +885,24 @@ export function run(routes, promisesOrOptions, options) {
 	
 	if (typeof window !== 'undefined') {
 		let ctx = {};
+		if (opts.suspense === true) {
+			ctx["@suspense"] = true;
+		}
+		if (opts.persist instanceof Array) {
+			ctx["@persist"] = opts.persist;
+		}
+		if (opts.restMiddleware instanceof Array) {
+			ctx["@restMiddleware"] = opts.restMiddleware;
+		}
+		if (typeof opts.restSubscribe === "function") {
+			ctx["@restSubscribe"] = opts.restSubscribe;
+		}
+		if (opts.sync instanceof Array) {
+			setupSync(ctx, opts.sync);
+		}
+		if (opts.devtools === true && isDev()) {
+			setupDevtools(ctx);
+		}
 		
 		// Get router props from options
 		const routerProps = {
@@ -307,6 +916,18 @@ export function run(routes, promisesOrOptions, options) {
 			...(opts.contextProps || {})
 		};
 		
+		// read getInitialState()
+		let init = getInitialState();
+
+		if (typeof init === "object") {
+			for(let varName in init) {
+				createVar(ctx, varName, deserializeVar(varName, init[varName], opts));
+			}
+		}
+		
+		// route loaders run outside of React, give them access to the context
+		browserCtx = contextProps.value;
+		
 		// Create a browser router with the routes
 		const router = createBrowserRouter(routes, {
 			basename: getPrefix(),
@@ -314,66 +935,51 @@ export function run(routes, promisesOrOptions, options) {
 		});
 
 		// initialize app for client rendering with route configuration
-		const app = React.createElement(
+		let app = React.createElement(
 			Context.Provider,
 			contextProps,
-			React.createElement(
+			wrapApp(opts, React.createElement(
 				RouterProvider,
 				{ router }
-			)
+			), contextProps.value)
 		);
+		
+		const varCtx = contextProps.value;
+		if (opts.errorElement && varCtx.hasOwnProperty(ERROR_VAR) && varCtx[ERROR_VAR].value) {
+			// the server rendered the error element, hydrate the same page
+			app = React.createElement(Context.Provider, contextProps, wrapApp(opts, opts.errorElement, varCtx));
+		}
 
-		// read getInitialState()
-		let init = getInitialState();
-
-		if (typeof init === "object") {
-			for(let varName in init) {
-				ctx[varName] = {
-					value: init[varName],
-					subscribers: new Set(),
-					setter: newVal => {
-						ctx[varName].value = newVal;
-						ctx[varName].subscribers.forEach(cb => cb({key: varName, newVal: newVal}));
-					}
-				};
-			}
-
-			if (typeof promises === 'undefined') {
+		const render = () => {
+			if (typeof init === "object") {
 				hydrateRoot(document.getElementById('root'), app);
 			} else {
-				// wait for promises with error handling and timeout
-				Promise.race([
-					Promise.all(promises),
-					new Promise(resolve => setTimeout(resolve, 10000)) // 10 second timeout
-				])
-				.then(
-					() => hydrateRoot(document.getElementById('root'), app),
-					(error) => {
-						console.error('Error resolving promises:', error);
-						hydrateRoot(document.getElementById('root'), app);
-					}
-				);
+				// SSR did not run, go through rendering
+				createRoot(document.getElementById('root')).render(app);
 			}
-			return;
-		}
+		};
 
-		// SSR did not run, go through rendering
 		if (typeof promises === 'undefined') {
-			createRoot(document.getElementById('root')).render(app);
-		} else {
-			// wait for promises with error handling and timeout
-			Promise.race([
-				Promise.all(promises),
-				new Promise(resolve => setTimeout(resolve, 10000)) // 10 second timeout
-			])
-			.then(
-				() => createRoot(document.getElementById('root')).render(app),
-				(error) => {
-					console.error('Error resolving promises:', error);
-					createRoot(document.getElementById('root')).render(app);
-				}
-			);
+			render();
+			return;
 		}
+
+		// wait for promises, and apply the failure policy if any failed or timed out
+		waitPromises(promises, opts).then(timings => {
+			const failed = timings.filter(timing => timing.status !== "fulfilled");
+			for(let timing of failed) {
+				console.error(`Error resolving promise "${timing.label}" (${timing.status} after ${timing.time}ms):`, promiseError(timing));
+			}
+
+			if (failed.length > 0 && opts.promiseFailure === "error" && opts.errorElement) {
+				createRoot(document.getElementById('root')).render(errorApp(promiseError(failed[0]), varCtx, opts));
+				return;
+			}
+			if (failed.length > 0 && ["abort", "error"].includes(opts.promiseFailure)) {
+				return; // leave the page as rendered by the server
+			}
+			render();
+		}).catch(error => console.error("Error rendering the application:", error));
 	} else {
 		// we're running on server side, let the server do the work through a custom renderer
 		global._renderToString = makeRenderer(routes, promises, opts);
@@ -0,0 +1,124 @@
+/**
+ * Cross-tab synchronization of shared variables
+ *
+ * Messages are sent to other tabs of the same origin through a BroadcastChannel,
+ * or through storage events when BroadcastChannel is not available. Each message
+ * has a type, and is passed to the handler registered for this type with the
+ * context of the receiving tab.
+ */
+import { matchVarName } from "./persist.js";
+
+const CHANNEL_NAME = "klbfw-hooks";
+
+// handlers for received messages, by message type
+const handlers = {};
+
+/**
+ * Registers a handler for a message type
+ *
+ * @param {string} type - Message type
+ * @param {Function} handler - Function receiving (ctx, message)
+ */
+export function registerSyncHandler(type, handler) {
+	handlers[type] = handler;
+}
+
+/**
+ * Internal helper opening the channel used to talk to other tabs
+ *
+ * @param {Function} onMessage - Function receiving messages from other tabs
+ * @returns {Object|null} - {post, close}, or null if no channel is available
+ */
+function openChannel(onMessage) {
+	if (typeof window === "undefined") return null;
+
+	if (typeof BroadcastChannel !== "undefined") {
+		const channel = new BroadcastChannel(CHANNEL_NAME);
+		channel.onmessage = e => onMessage(e.data);
+		return {
+			post: msg => channel.postMessage(msg),
+			close: () => channel.close(),
+		};
+	}
+
+	// fallback on storage events, which are only triggered in other tabs
+	let storage;
+	try {
+		storage = window.localStorage;
+	} catch (e) {
+		return null;
+	}
+
+	const listener = e => {
+		if (e.key !== CHANNEL_NAME || !e.newValue) return;
+		try {
+			onMessage(JSON.parse(e.newValue).msg);
+		} catch (err) {
+			// ignore invalid messages
+		}
+	};
+	window.addEventListener("storage", listener);
+
+	return {
+		post: msg => {
+			// a nonce ensures the value changes even when sending the same message twice
+			storage.setItem(CHANNEL_NAME, JSON.stringify({msg: msg, nonce: Math.random()}));
+			storage.removeItem(CHANNEL_NAME);
+		},
+		close: () => window.removeEventListener("storage", listener),
+	};
+}
+
+/**
+ * Sets up synchronization for a context, if not done yet
+ *
+ * @param {Object} ctx - The context object
+ * @param {Array} rules - Optional list of variable names, RegExps or functions matching variables to synchronize
+ * @returns {Object|null} - Synchronization state stored in ctx["@sync"], or null if not available
+ */
+export function setupSync(ctx, rules) {
+	if (!ctx.hasOwnProperty("@sync")) {
+		const channel = openChannel(msg => {
+			if (msg && handlers.hasOwnProperty(msg.type)) {
+				handlers[msg.type](ctx, msg);
+			}
+		});
+		ctx["@sync"] = channel ? {channel: channel, rules: []} : null;
+	}
+
+	if (ctx["@sync"] && rules instanceof Array) {
+		ctx["@sync"].rules = ctx["@sync"].rules.concat(rules);
+	}
+	return ctx["@sync"];
+}
+
+/**
+ * Checks if a variable should be synchronized according to the rules of a context
+ *
+ * @param {Object} ctx - The context object
+ * @param {string} varName - The name of the shared variable
+ * @returns {boolean} - True if the variable is synchronized
+ */
+export function isSynced(ctx, varName) {
+	if (!ctx["@sync"]) return false;
+	return ctx["@sync"].rules.some(match => matchVarName(match, varName));
+}
+
+/**
+ * Sends a message to other tabs
+ *
+ * @param {Object} ctx - The context object
+ * @param {string} type - Message type
+ * @param {Object} data - Message data
+ */
+export function broadcast(ctx, type, data) {
+	const sync = setupSync(ctx);
+	if (!sync) return;
+
+	try {
+		sync.channel.post({...data, type: type});
+	} catch (e) {
+		// value cannot be cloned or serialized
+		console.error('Failed to send ' + type + ' message to other tabs:', e);
+	}
+}
@@ -1,208 +1,1290 @@
 // Test runner for SSR implementation with React Router DOM v7
-// Based on the sample_from_chatgpt.js file
-
-// Import required libraries
-const React = require("react");
-const ReactDOMServer = require("react-dom/server");
-const {
-  createStaticHandler,
-  createStaticRouter,
-  StaticRouterProvider,
-} = require("react-router-dom");
-const { Helmet } = require("react-helmet");
-
-// Import our test routes
-const { routes } = require('./tests.js');
-
-// Mock klbfw functions
-global.getUuid = () => 'test-uuid-123';
-global.getPrefix = () => '';
-global.getPath = () => '/test';
-global.getUrl = () => ({ 
-  query: '',
-  host: 'example.com',
-  scheme: 'https'
-});
-
-// Helper function to create a fetch request
-function createFetchRequest(url, query) {
-  const headers = new Headers();
-  headers.append("Accept", "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8");
-  
-  return new Request(`${url}${query ? `?${query}` : ""}`, {
-    method: "GET",
-    headers: headers,
-    redirect: "manual"
-  });
-}
-
-// Create our own implementation based on ssr.js
-// We can't directly import the ES module
-function makeRenderer(routes) {
-  return async function(cbk) {
-    const result = { uuid: global.getUuid(), initial: {} };
-    const pathname = global.getPath();
-    const search = global.getUrl().query || "";
-    
-    try {
-      // Create a static handler from the routes
-      const { query } = createStaticHandler(routes);
-      
-      // Get URL information including host and scheme from getUrl()
-      const urlInfo = global.getUrl();
-      const scheme = urlInfo.scheme || 'https';
-      const host = urlInfo.host || 'localhost';
-      
-      // Construct the full URL with scheme, host and path
-      const fullUrl = `${scheme}://${host}${pathname}`;
-      
-      // Create a fetch request from the current URL
-      const headers = new Headers();
-      headers.append("Accept", "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8");
-      const fetchRequest = new Request(`${fullUrl}${search ? `?${search}` : ""}`, {
-        method: "GET",
-        headers: headers,
-        redirect: "manual"
-      });
-      
-      // Run the query to get data and check for redirects
-      const context = await query(fetchRequest);
-      
-      // Check if the context is a Response (which could be a redirect)
-      if (context instanceof Response) {
-        // Check if it's a redirect status code
-        if ([301, 302, 303, 307, 308].includes(context.status)) {
-          result.redirect = context.headers.get("Location");
-          result.statusCode = context.status;
-          cbk(result);
-          return;
-        }
-      }
-      
-      // If no redirect, create a static router with the data context
-      const router = createStaticRouter(routes, context);
-      
-      // Create the app with our Context provider and StaticRouterProvider
-      const app = React.createElement(
-        React.createContext({}).Provider,
-        { value: {} },
-        React.createElement(
-          StaticRouterProvider, 
-          { 
-            router: router,
-            context: context
-          }
-        )
-      );
-      
-      // Render the application using ReactDOMServer
-      result.app = ReactDOMServer.renderToString(app);
-      
-      // Extract Helmet metadata
-      Helmet.canUseDOM = false;
-      const helmet = Helmet.renderStatic();
-      
-      result.title = helmet.title ? helmet.title.toString() : null;
-      result.meta = helmet.meta ? helmet.meta.toString() : null;
-      result.script = helmet.script ? helmet.script.toString() : null;
-      result.link = helmet.link ? helmet.link.toString() : null;
-      result.bodyAttributes = helmet.bodyAttributes ? helmet.bodyAttributes.toString() : null;
-      result.htmlAttributes = helmet.htmlAttributes ? helmet.htmlAttributes.toString() : null;
-      
-      cbk(result);
-    } catch (error) {
-      console.error("Error in renderer:", error);
-      result.error = error;
-      cbk(result);
-    }
+// Renders the test routes through the real renderer with renderRoute() from testing.js
+// Client side behaviors are tested in a browser created with jsdom
+
+import React, { act, Suspense } from "react";
+import { renderToString } from "react-dom/server";
+import { createRoot } from "react-dom/client";
+import { JSDOM } from "jsdom";
+
+// Import our test routes and the scripted API they use
+import { routes, api, itemContexts } from "./tests.js";
+
+import { useVar, useVarSelector, useVarReducer, useVarCtx, useRest, useRestInfinite, useRestInvalidate, useRestResetter, useRestMutation, RestErrorBoundary, useRenderError, restRetry, restAuthRefresh, restInterceptor } from "./index.js";
+import { setupDevtools } from "./devtools.js";
+import { serializeVar, deserializeVar } from "./codec.js";
+import { renderRoute, MockVarProvider, createRestMock } from "./testing.js";
+
+// Runs fn in a browser created with jsdom, for tests of client side behaviors.
+// fn receives render(element), which mounts the element and resolves with
+// {container, unmount}. window and document only exist while fn runs, so the
+// SSR tests are not affected.
+async function withDom(fn) {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { url: 'https://localhost/', pretendToBeVisual: true });
+  globalThis.window = dom.window;
+  globalThis.document = dom.window.document;
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+  const mounted = new Set();
+  const render = async element => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const root = createRoot(container);
+    await act(async () => root.render(element));
+    mounted.add(root);
+    return {
+      container,
+      unmount: async () => {
+        mounted.delete(root);
+        await act(async () => root.unmount());
+      },
+    };
   };
+
+  try {
+    return await fn(render);
+  } finally {
+    for (const root of mounted) {
+      await act(async () => root.unmount());
+    }
+    // let cleanups scheduled on unmount run before the DOM goes away
+    await new Promise(resolve => setTimeout(resolve, 5));
+    delete globalThis.window;
+    delete globalThis.document;
+    delete globalThis.IS_REACT_ACT_ENVIRONMENT;
+    dom.window.close();
+  }
+}
+
+// Waits for the REST mock to answer all calls, and React to render the results
+async function settle(mock) {
+  await act(async () => {
+    await mock.settled();
+    await new Promise(resolve => setTimeout(resolve, 0));
+  });
 }
 
 // Test for HTML rendering
 async function testHtmlRendering() {
   console.log('\nTest: Home Page HTML Rendering');
-  
-  // Override the path for this test
-  global.getPath = () => '/';
-  
-  // Create a renderer
-  const renderer = makeRenderer(routes);
-  
+
   // Execute the renderer
-  return new Promise((resolve) => {
-    renderer((result) => {
-      console.log('Test results:');
-      console.log('- Has redirect:', !!result.redirect);
-      console.log('- Has HTML:', !!result.app);
-      console.log('- Has title:', !!result.title);
-      console.log('- Sample HTML:', result.app ? result.app.substring(0, 50) + '...' : 'None');
-      
-      // Check if the result contains expected content
-      const hasTitle = result.title && result.title.includes('Home Page');
-      const hasHomeHeading = result.app && result.app.includes('<h1>Home</h1>');
-      
-      if (!result.redirect && result.app && hasTitle && hasHomeHeading) {
-        console.log('✅ PASSED: Home page rendered correctly');
-        resolve(true);
-      } else {
-        console.log('❌ FAILED: Home page not rendered correctly');
-        resolve(false);
-      }
-    });
-  });
+  const result = await renderRoute(routes, '/');
+  // tests of server rendering often run with a DOM, as with jest-environment-jsdom
+  const withWindow = await withDom(() => renderRoute(routes, '/'));
+  console.log('Test results:');
+  console.log('- Has redirect:', !!result.redirect);
+  console.log('- Has HTML:', !!result.app);
+  console.log('- Has title:', !!result.title);
+  console.log('- Has meta:', !!result.meta);
+  console.log('- Title with a DOM:', withWindow.title);
+  console.log('- Sample HTML:', result.app ? result.app.substring(0, 50) + '...' : 'None');
+
+  // Check if the result contains expected content
+  const hasTitle = result.title && result.title.includes('Home Page');
+  const hasMeta = result.meta && result.meta.includes('name="description" content="Welcome to the home page!"');
+  const hasHomeHeading = result.app && result.app.includes('<h1>Home</h1>');
+  const sameWithWindow = withWindow.title === result.title && withWindow.meta === result.meta;
+
+  if (!result.redirect && result.app && hasTitle && hasMeta && hasHomeHeading && sameWithWindow) {
+    console.log('✅ PASSED: Home page rendered correctly');
+    return true;
+  }
+  console.log('❌ FAILED: Home page not rendered correctly');
+  return false;
 }
 
 // Test for redirect handling
 async function testRedirectHandling() {
   console.log('\nTest: Redirect Handling');
-  
-  // Override the path for this test
-  global.getPath = () => '/redirect';
-  
-  // Create a renderer
-  const renderer = makeRenderer(routes);
-  
+
   // Execute the renderer
-  return new Promise((resolve) => {
-    renderer((result) => {
+  const result = await renderRoute(routes, '/redirect');
+  console.log('Test results:');
+  console.log('- Has redirect:', !!result.redirect);
+  console.log('- Redirect URL:', result.redirect);
+  console.log('- Status code:', result.statusCode);
+  console.log('- Has HTML:', !!result.app);
+
+  if (result.redirect === '/about' && result.statusCode === 301 && !result.app) {
+    console.log('✅ PASSED: Redirect handled correctly');
+    return true;
+  }
+  console.log('❌ FAILED: Redirect not handled correctly');
+  return false;
+}
+
+// Test for status codes and headers set from route matching and loaders
+async function testStatusAndHeaders() {
+  console.log('\nTest: Status Code and Headers');
+
+  const unmatched = await renderRoute(routes, '/nowhere');
+  const gone = await renderRoute(routes, '/gone');
+  const cached = await renderRoute(routes, '/cached');
+
+  console.log('Test results:');
+  console.log('- Unmatched URL status code:', unmatched.statusCode);
+  console.log('- Thrown 404 status code:', gone.statusCode);
+  console.log('- Thrown 404 HTML:', gone.app ? gone.app.substring(0, 50) + '...' : 'None');
+  console.log('- Loader headers:', JSON.stringify(cached.headers), cached.statusCode);
+
+  if (unmatched.statusCode === 404 && !unmatched.redirect && unmatched.app &&
+    gone.statusCode === 404 && gone.app && gone.app.startsWith('<h1>Not Found</h1>') &&
+    cached.statusCode === 200 && cached.app && cached.app.includes('<h1>About</h1>') &&
+    cached.headers['cache-control'] === 'public, max-age=300' && cached.headers['vary'] === 'Cookie') {
+    console.log('✅ PASSED: Status codes and headers set from routes');
+    return true;
+  }
+  console.log('❌ FAILED: Status codes or headers not set correctly');
+  return false;
+}
+
+// Test for restLoader sharing the REST cache with useRest
+async function testRestLoader() {
+  console.log('\nTest: REST Loader');
+
+  const mock = createRestMock().on('Test/Item:*', call => ({ name: 'Name of ' + call.path.split(':')[1] }), { delay: 5 });
+  const result = await renderRoute(routes, '/loaded/9', { rest: mock });
+  const calls = mock.callsTo('Test/Item:9').length;
+
+  console.log('Test results:');
+  console.log('- HTML:', result.app ? result.app.substring(0, 50) + '...' : 'None');
+  console.log('- Initial state:', JSON.stringify(result.initial));
+  console.log('- API calls:', calls);
+
+  if (result.app && result.app.startsWith('<p>Name of 9 (from loader)</p>') && calls === 1 &&
+    JSON.stringify(result.initial) === '{"Test/Item:9?":{"value":{"result":"success","data":{"name":"Name of 9"}}}}') {
+    console.log('✅ PASSED: Loader filled the REST cache');
+    return true;
+  }
+  console.log('❌ FAILED: Loader did not fill the REST cache');
+  return false;
+}
+
+// Test for the conversion of variables passed from SSR to the client
+async function testCodec() {
+  console.log('\nTest: Initial State Serialization');
+
+  // values go through JSON as in the page sent to the client
+  const roundTrip = (name, value) => deserializeVar(name, JSON.parse(JSON.stringify(serializeVar(name, value))));
+
+  const date = roundTrip('date', new Date('2024-05-01T10:00:00Z'));
+  const map = roundTrip('map', new Map([['a', 1], [2, new Set(['x'])]]));
+  const big = roundTrip('big', { n: 12345678901234567890n });
+  const tagged = roundTrip('tagged', { $klbfw: 'Date', v: 'not a date' });
+  const proto = roundTrip('proto', JSON.parse('{"__proto__": {"admin": true}, "name": "api data"}'));
+
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  try {
+    serializeVar('handlers', { onClick: () => {}, ok: 1 });
+    serializeVar('plain', { ok: 1 });
+  } finally {
+    console.warn = warn;
+  }
+
+  console.log('Test results:');
+  console.log('- Date:', date instanceof Date && date.toISOString());
+  console.log('- Map:', map instanceof Map && JSON.stringify(Array.from(map, ([k, v]) => [k, v instanceof Set ? Array.from(v) : v])));
+  console.log('- BigInt:', typeof big.n, String(big.n));
+  console.log('- Tagged object:', JSON.stringify(tagged));
+  console.log('- __proto__ key:', Object.getPrototypeOf(proto) === Object.prototype, JSON.stringify(Object.getOwnPropertyDescriptor(proto, '__proto__')));
+  console.log('- Warnings:', warnings.join(' / '));
+
+  if (date instanceof Date && date.toISOString() === '2024-05-01T10:00:00.000Z' &&
+    map instanceof Map && map.get('a') === 1 && map.get(2) instanceof Set && map.get(2).has('x') &&
+    big.n === 12345678901234567890n && JSON.stringify(tagged) === '{"$klbfw":"Date","v":"not a date"}' &&
+    Object.getPrototypeOf(proto) === Object.prototype && proto.admin === undefined &&
+    Object.keys(proto).join(',') === '__proto__,name' && proto.name === 'api data' &&
+    warnings.length === 1 && warnings[0].includes('"handlers"') && warnings[0].includes('handlers.onClick is a function')) {
+    console.log('✅ PASSED: Variables converted to JSON and back');
+    return true;
+  }
+  console.log('❌ FAILED: Variables not converted correctly');
+  return false;
+}
+
+// Test for parallel rendering, each request must only see its own state
+async function testParallelRendering() {
+  console.log('\nTest: Parallel Rendering Isolation');
+
+  const count = 50;
+
+  // Start all renders at once, API calls answer in random order
+  const ids = [];
+  const renders = [];
+  for (let i = 0; i < count; i++) {
+    ids.push(String(i));
+    renders.push(renderRoute(routes, '/item/' + i, { rest: api }));
+  }
+  // other pages rendered at the same time must not get item tags
+  renders.push(renderRoute(routes, '/about', { rest: api }));
+  const results = await Promise.all(renders);
+
+  const problems = [];
+  ids.forEach((id, i) => {
+    const result = results[i];
+    if (result.error) {
+      problems.push(`item ${id}: ${result.error}`);
+      return;
+    }
+    if (result.title !== `<title data-klbfw-head="true">Item ${id} | Items</title>`) {
+      problems.push(`item ${id}: title is ${result.title}`);
+    }
+    if (!result.app || !result.app.includes(`<h1>Item ${id}</h1>`) || !result.app.includes(`Name of ${id}<`)) {
+      problems.push(`item ${id}: unexpected HTML ${result.app}`);
+    }
+
+    // initial state must only contain variables of this request
+    const keys = Object.keys(result.initial).sort().join(', ');
+    if (keys !== `Test/Item:${id}?, item_id` || result.initial.item_id !== id) {
+      problems.push(`item ${id}: initial state is ${JSON.stringify(result.initial)}`);
+    }
+
+    // nothing should stay attached to the context once rendered
+    const ctx = itemContexts[id];
+    for (const varName in ctx) {
+      if (varName.charAt(0) === '@') continue;
+      if (ctx[varName].subscribers.size > 0) {
+        problems.push(`item ${id}: variable ${varName} has ${ctx[varName].subscribers.size} subscriber(s)`);
+      }
+    }
+    if (ctx.hasOwnProperty('@promises')) {
+      problems.push(`item ${id}: pending promises are still referenced`);
+    }
+
+    // the API is called once per item, even with several render passes
+    const calls = api.callsTo('Test/Item:' + id).length;
+    if (calls !== 1) {
+      problems.push(`item ${id}: API called ${calls} time(s)`);
+    }
+  });
+
+  const about = results[count];
+  if (!about.title || !about.title.includes('About Us') || Object.keys(about.initial).length > 0) {
+    problems.push(`about: title is ${about.title}, initial state is ${JSON.stringify(about.initial)}`);
+  }
+
+  const contexts = new Set(ids.map(id => itemContexts[id]));
+  if (contexts.size !== count) {
+    problems.push(`${count} renders used ${contexts.size} context(s)`);
+  }
+
+  console.log('Test results:');
+  console.log('- Rendered pages:', results.length);
+  console.log('- Distinct contexts:', contexts.size);
+  console.log('- Problems:', problems.length);
+
+  if (problems.length === 0) {
+    console.log('✅ PASSED: Parallel renders are isolated');
+    return true;
+  }
+  problems.slice(0, 10).forEach(problem => console.log('  ' + problem));
+  console.log('❌ FAILED: State leaked between parallel renders');
+  return false;
+}
+
+// Test for the failure policy of promises passed to run()
+async function testPromiseFailure() {
+  console.log('\nTest: Promise Failure Policy');
+
+  // A failed promise renders the error element with a 500 status
+  const failing = Promise.reject(new Error('i18n backend unreachable'));
+  const errorResult = await renderRoute(routes, '/', {
+    promises: [{ label: 'i18n', promise: failing }],
+    promiseFailure: 'error',
+    errorElement: React.createElement('h1', null, 'Service unavailable'),
+  });
+
+  // A promise that does not settle in time aborts rendering
+  const abortResult = await renderRoute(routes, '/', {
+    promises: [Promise.resolve(), { label: 'auth', promise: new Promise(() => {}) }],
+    promiseTimeout: 50,
+    promiseFailure: 'abort',
+  });
+
+  // Values that are not promises are accepted, like Promise.all() does
+  const valuesResult = await renderRoute(routes, '/', { promises: ['x', 5, null] });
+
+  const errorTiming = errorResult.timings.promises[0];
+  const abortTimings = abortResult.timings.promises;
+  console.log('Test results:');
+  console.log('- Error status code:', errorResult.statusCode);
+  console.log('- Error HTML:', errorResult.app);
+  console.log('- Error timings:', JSON.stringify(errorResult.timings));
+  console.log('- Abort status code:', abortResult.statusCode);
+  console.log('- Abort error:', abortResult.error && abortResult.error.message);
+  console.log('- Abort timings:', JSON.stringify(abortTimings));
+  console.log('- Values status code:', valuesResult.statusCode, valuesResult.error || '');
+
+  const errorOk = errorResult.statusCode === 500 && errorResult.app === '<h1>Service unavailable</h1>' &&
+    errorTiming.label === 'i18n' && errorTiming.status === 'rejected' && typeof errorResult.timings.render === 'number';
+  const abortOk = abortResult.statusCode === 500 && !abortResult.app && abortResult.error && abortResult.error.message.includes('"auth"') &&
+    abortTimings[0].label === 'promise #0' && abortTimings[0].status === 'fulfilled' && abortTimings[1].status === 'timeout';
+
+  const valuesOk = valuesResult.statusCode === 200 && !valuesResult.error && valuesResult.timings.promises.every(timing => timing.status === 'fulfilled');
+
+  if (errorOk && abortOk && valuesOk) {
+    console.log('✅ PASSED: Promise failures handled according to the policy');
+    return true;
+  }
+  console.log('❌ FAILED: Promise failures not handled correctly');
+  return false;
+}
+
+// Test for the render lifecycle hooks
+async function testLifecycleHooks() {
+  console.log('\nTest: Render Lifecycle Hooks');
+
+  const calls = [];
+  const options = {
+    beforeRender: async (request, varCtx) => {
+      calls.push('beforeRender ' + request.url);
+      varCtx['@nonce'] = 'abc123';
+    },
+    wrapApp: (element, varCtx) => React.createElement('div', { className: 'styles-provider', 'data-nonce': varCtx['@nonce'] }, element),
+    afterRender: async (result, varCtx) => {
+      calls.push('afterRender ' + result.statusCode);
+      result.styles = `<style nonce="${varCtx['@nonce']}">h1{color:red}</style>`;
+    },
+  };
+  const result = await renderRoute(routes, 'https://example.com/about', options);
+  const redirect = await renderRoute(routes, 'https://example.com/redirect', options);
+
+  console.log('Test results:');
+  console.log('- Calls:', calls.join(', '));
+  console.log('- Sample HTML:', result.app ? result.app.substring(0, 50) + '...' : 'None');
+  console.log('- Styles:', result.styles);
+
+  const expectedCalls = [
+    'beforeRender https://example.com/about', 'afterRender 200',
+    'beforeRender https://example.com/redirect', 'afterRender 301',
+  ].join(', ');
+  if (calls.join(', ') === expectedCalls && result.app.startsWith('<div class="styles-provider" data-nonce="abc123"><h1>About</h1>') &&
+    result.styles.includes('abc123') && redirect.styles && !('@nonce' in result.initial)) {
+    console.log('✅ PASSED: Lifecycle hooks called');
+    return true;
+  }
+  console.log('❌ FAILED: Lifecycle hooks not called correctly');
+  return false;
+}
+
+// Test for the error page rendered when rendering fails
+async function testErrorPage() {
+  console.log('\nTest: Error Page Rendering');
+
+  function ErrorPage() {
+    const error = useRenderError();
+    return React.createElement('h1', null, `Error ${error.status}: ${error.message}`);
+  }
+  const result = await renderRoute(routes, '/item/missing', { rest: api, errorElement: React.createElement(ErrorPage) });
+
+  // without errorElement, the error is returned as before
+  const plain = await renderRoute(routes, '/item/missing', { rest: api });
+
+  const error = result.initial['klbfw:error'];
+  console.log('Test results:');
+  console.log('- Status code:', result.statusCode);
+  console.log('- HTML:', result.app);
+  console.log('- Serialized error:', JSON.stringify(error));
+  console.log('- Error without errorElement:', plain.error && plain.error.error);
+
+  if (result.statusCode === 500 && !result.error && result.app === '<h1>Error 404: Item not found</h1>' &&
+    JSON.stringify(error) === '{"name":"Error","message":"Item not found","status":404,"token":"error_not_found"}' &&
+    plain.error && plain.error.token === 'error_not_found') {
+    console.log('✅ PASSED: Error page rendered with a serialized error');
+    return true;
+  }
+  console.log('❌ FAILED: Error page not rendered correctly');
+  return false;
+}
+
+// Test for the mock provider of testing.js
+async function testMockVarProvider() {
+  console.log('\nTest: Mock Variable Provider');
+
+  function Greeting() {
+    const [user] = useVar('user', null);
+    return React.createElement('p', null, 'Hello ' + (user ? user.name : 'guest'));
+  }
+  const withUser = renderToString(React.createElement(MockVarProvider, { initial: { user: { name: 'Alice' } } }, React.createElement(Greeting)));
+  const withoutUser = renderToString(React.createElement(MockVarProvider, null, React.createElement(Greeting)));
+
+  console.log('Test results:');
+  console.log('- With initial user:', withUser);
+  console.log('- Without initial user:', withoutUser);
+
+  if (withUser === '<p>Hello Alice</p>' && withoutUser === '<p>Hello guest</p>') {
+    console.log('✅ PASSED: Mock provider sets initial variables');
+    return true;
+  }
+  console.log('❌ FAILED: Mock provider did not set initial variables');
+  return false;
+}
+
+// Test for useRest suspending while loading, on the server and in the browser
+async function testSuspense() {
+  console.log('\nTest: Suspense Mode');
+
+  const mock = createRestMock().on('Test/User', { name: 'Alice' }, { delay: 5 });
+
+  function User() {
+    // data is always loaded in suspense mode
+    const [user] = useRest('Test/User');
+    return React.createElement('b', null, user.data.name);
+  }
+  const app = React.createElement('div', null,
+    React.createElement('p', null, 'Profile'),
+    React.createElement(Suspense, { fallback: React.createElement('i', null, 'Loading') }, React.createElement(User)));
+
+  const server = await renderRoute([{ path: '/', element: app }], '/', { rest: mock, suspense: true });
+  const serverCalls = mock.callsTo('Test/User').length;
+
+  return withDom(async render => {
+    mock.calls.length = 0;
+    const { container } = await render(React.createElement(MockVarProvider, { rest: mock, suspense: true }, app));
+    const loading = container.textContent;
+    await settle(mock);
+
+    console.log('Test results:');
+    console.log('- Server HTML:', server.app);
+    console.log('- Server initial state:', JSON.stringify(server.initial));
+    console.log('- Client while loading:', loading);
+    console.log('- Client once loaded:', container.textContent);
+
+    if (server.app.includes('<b>Alice</b>') && !server.app.includes('Loading') && serverCalls === 1 &&
+      JSON.stringify(server.initial) === '{"Test/User?":{"value":{"result":"success","data":{"name":"Alice"}}}}' &&
+      loading === 'ProfileLoading' && container.textContent === 'ProfileAlice' && mock.callsTo('Test/User').length === 1) {
+      console.log('✅ PASSED: Suspense boundaries wait for REST data');
+      return true;
+    }
+    console.log('❌ FAILED: Suspense boundaries did not wait for REST data');
+    return false;
+  });
+}
+
+// Test for variables persisted in localStorage and sessionStorage
+async function testPersistence() {
+  console.log('\nTest: Variable Persistence');
+
+  let setTheme;
+  function Settings() {
+    const [theme, set] = useVar('theme', 'light', { persist: true });
+    // version 1 stored the list of items only
+    const [cart] = useVar('cart', { items: [] }, { persist: { version: 2, migrate: (value, version) => version === 1 ? { items: value } : undefined } });
+    const [tab] = useVar('tab', 'home', { persist: { storage: 'session', version: 1 } });
+    setTheme = set;
+    return React.createElement('p', null, theme + ' ' + cart.items.join(',') + ' ' + tab);
+  }
+
+  return withDom(async render => {
+    window.localStorage.setItem('klbfw:theme', JSON.stringify({ version: 0, value: 'dark' }));
+    window.localStorage.setItem('klbfw:cart', JSON.stringify({ version: 1, value: ['a', 'b'] }));
+    // stored by an older version without migration, dropped
+    window.sessionStorage.setItem('klbfw:tab', JSON.stringify({ version: 0, value: 'search' }));
+
+    const { container } = await render(React.createElement(MockVarProvider, null, React.createElement(Settings)));
+    const restored = container.textContent;
+    const migrated = window.localStorage.getItem('klbfw:cart');
+    const dropped = window.sessionStorage.getItem('klbfw:tab');
+
+    await act(async () => setTheme('blue'));
+
+    console.log('Test results:');
+    console.log('- After mount:', restored);
+    console.log('- Migrated value:', migrated);
+    console.log('- Value without migration:', dropped);
+    console.log('- Stored after set:', window.localStorage.getItem('klbfw:theme'));
+
+    if (restored === 'dark a,b home' && migrated === '{"version":2,"value":{"items":["a","b"]}}' && dropped === null &&
+      window.localStorage.getItem('klbfw:theme') === '{"version":0,"value":"blue"}' && container.textContent === 'blue a,b home') {
+      console.log('✅ PASSED: Variables restored, migrated and stored');
+      return true;
+    }
+    console.log('❌ FAILED: Variables not persisted correctly');
+    return false;
+  });
+}
+
+// Test for variables and REST cache resets synchronized across tabs
+async function testCrossTabSync() {
+  console.log('\nTest: Cross-Tab Synchronization');
+
+  const wait = ms => act(() => new Promise(resolve => setTimeout(resolve, ms)));
+  const mock = createRestMock()
+    .on('Test/Profile', call => ({ n: mock.callsTo('Test/Profile').indexOf(call) + 1 }));
+
+  // each tab is a provider with its own context
+  const tabs = [];
+  function Tab({ n }) {
+    const [cart, setCart] = useVar('cart', [], { sync: true });
+    const [profile] = useRest('Test/Profile');
+    const reset = useRestResetter();
+    tabs[n] = { ctx: useVarCtx(), setCart, reset };
+    return React.createElement('p', null, cart.join(',') + ' ' + (profile ? profile.data.n : '-'));
+  }
+
+  return withDom(async render => {
+    try {
+      const first = await render(React.createElement(MockVarProvider, { rest: mock }, React.createElement(Tab, { n: 0 })));
+      const second = await render(React.createElement(MockVarProvider, { rest: mock }, React.createElement(Tab, { n: 1 })));
+      await settle(mock);
+      const loaded = [first.container.textContent, second.container.textContent];
+
+      // messages are delivered asynchronously
+      await act(async () => tabs[0].setCart(['a']));
+      await wait(20);
+      const synced = [first.container.textContent, second.container.textContent];
+
+      // a reset without broadcast only applies to the tab calling it
+      await act(async () => tabs[0].reset());
+      await wait(20);
+      await settle(mock);
+      const localReset = [first.container.textContent, second.container.textContent];
+
+      await act(async () => tabs[0].reset({ broadcast: true }));
+      await wait(20);
+      await settle(mock);
+
+      console.log('Test results:');
+      console.log('- Loaded:', loaded.join(' | '));
+      console.log('- After set in the first tab:', synced.join(' | '));
+      console.log('- After a local reset:', localReset.join(' | '));
+      console.log('- After a broadcast reset:', first.container.textContent, '|', second.container.textContent);
+
+      if (loaded.join('|') === ' 1| 2' && synced.join('|') === 'a 1|a 2' && localReset.join('|') === 'a 3|a 2' &&
+        first.container.textContent === 'a 4' && second.container.textContent === 'a 5') {
+        console.log('✅ PASSED: Variables and REST resets synchronized across tabs');
+        return true;
+      }
+      console.log('❌ FAILED: Tabs not synchronized');
+      return false;
+    } finally {
+      // open channels would keep the process running
+      tabs.forEach(({ ctx }) => ctx['@sync'] && ctx['@sync'].channel.close());
+    }
+  });
+}
+
+// Test for functional updates and useVarReducer
+async function testVarUpdates() {
+  console.log('\nTest: Variable Updates');
+
+  let increment;
+  function Counter() {
+    const [count, setCount] = useVar('count', 0);
+    increment = () => setCount(n => n + 1);
+    return React.createElement('p', null, 'Count ' + count);
+  }
+
+  const reducer = (todos, action) => {
+    switch (action.type) {
+      case 'add': return [...todos, action.text];
+      case 'clear': return [];
+      default: return todos;
+    }
+  };
+  // both components dispatch to the same variable
+  const dispatchers = [];
+  function Todos({ n }) {
+    const [todos, dispatch] = useVarReducer('todos', reducer, []);
+    dispatchers[n] = dispatch;
+    return React.createElement('p', null, todos.join(',') || 'none');
+  }
+
+  return withDom(async render => {
+    const { container } = await render(React.createElement(MockVarProvider, null,
+      React.createElement(Counter), React.createElement(Todos, { n: 0 }), React.createElement(Todos, { n: 1 })));
+
+    // several updates in the same batch each see the previous one
+    await act(async () => {
+      increment();
+      increment();
+    });
+    const counted = container.textContent;
+
+    await act(async () => {
+      dispatchers[0]({ type: 'add', text: 'a' });
+      dispatchers[1]({ type: 'add', text: 'b' });
+    });
+    const added = container.textContent;
+    await act(async () => dispatchers[1]({ type: 'clear' }));
+
+    console.log('Test results:');
+    console.log('- After two increments:', counted);
+    console.log('- After two actions:', added);
+    console.log('- After clear:', container.textContent);
+
+    if (counted === 'Count 2nonenone' && added === 'Count 2a,ba,b' && container.textContent === 'Count 2nonenone' &&
+      dispatchers[0] === dispatchers[1]) {
+      console.log('✅ PASSED: Updates applied to the latest value');
+      return true;
+    }
+    console.log('❌ FAILED: Updates lost or not shared');
+    return false;
+  });
+}
+
+// Test for useVarSelector used before the variable is created
+async function testVarSelector() {
+  console.log('\nTest: Variable Selector');
+
+  function Name() {
+    const name = useVarSelector('user', user => user ? user.name.toUpperCase() : 'NO USER');
+    return React.createElement('b', null, name);
+  }
+  let setUser;
+  function Greeting() {
+    const [user, set] = useVar('user', { name: 'guest' });
+    setUser = set;
+    return React.createElement('p', null, 'Hello ' + (user ? user.name : 'nobody'));
+  }
+  const app = React.createElement(React.Fragment, null, React.createElement(Name), React.createElement(Greeting));
+
+  const server = await renderRoute([{ path: '/', element: app }], '/');
+
+  return withDom(async render => {
+    const { container } = await render(React.createElement(MockVarProvider, null, app));
+    const rendered = container.innerHTML;
+    await act(async () => setUser({ name: 'alice' }));
+
+    console.log('Test results:');
+    console.log('- Server HTML:', server.app);
+    console.log('- Server initial state:', JSON.stringify(server.initial));
+    console.log('- Client HTML:', rendered);
+    console.log('- After update:', container.innerHTML);
+
+    if (server.app.includes('<b>GUEST</b><p>Hello guest</p>') && JSON.stringify(server.initial) === '{"user":{"name":"guest"}}' &&
+      rendered === '<b>GUEST</b><p>Hello guest</p>' && container.innerHTML === '<b>ALICE</b><p>Hello alice</p>') {
+      console.log('✅ PASSED: Selector does not prevent the default value');
+      return true;
+    }
+    console.log('❌ FAILED: Selector created the variable without its default value');
+    return false;
+  });
+}
+
+// Test for the inspector of devtools.js
+async function testDevtools() {
+  console.log('\nTest: Devtools Inspector');
+
+  let hook;
+  const result = await renderRoute(routes, '/item/42', {
+    rest: api,
+    beforeRender: (request, varCtx) => {
+      hook = setupDevtools(varCtx).hook;
+    },
+  });
+
+  const timeline = hook.timeline.map(event => event.type + ' ' + event.key);
+  const entry = hook.getRest().find(entry => entry.key === 'Test/Item:42?');
+  const variable = hook.getVars().find(variable => variable.name === 'item_id');
+  hook.setVar('item_id', '43');
+
+  console.log('Test results:');
+  console.log('- Timeline:', timeline.join(', '));
+  console.log('- REST entry:', JSON.stringify(entry));
+  console.log('- Variable:', JSON.stringify(variable));
+
+  if (result.app && timeline.includes('fetch Test/Item:42?') && timeline.includes('fetched Test/Item:42?') &&
+    timeline.includes('set Test/Item:42?') && entry && entry.status === 'success' && typeof entry.time === 'number' &&
+    variable && variable.value === '42' && variable.subscribers === 0 &&
+    hook.ctx.item_id.value === '43' && hook.timeline.some(event => event.type === 'edit' && event.key === 'item_id')) {
+    console.log('✅ PASSED: Devtools recorded the render');
+    return true;
+  }
+  console.log('❌ FAILED: Devtools did not record the render');
+  return false;
+}
+
+// Test for the REST middleware
+async function testRestMiddleware() {
+  console.log('\nTest: REST Middleware');
+
+  // item 1 fails twice with a server error, item 2 once with an expired session
+  const flaky = createRestMock()
+    .on('Test/Item:*', call => ({ name: 'Name of ' + call.path.split(':')[1] }))
+    .fail('Test/Item:1', { error: 'Unavailable', code: 503 }, { times: 2 })
+    .fail('Test/Item:2', { error: 'Session expired', code: 401 }, { times: 1 })
+    .fail('Test/Item:missing', { error: 'Item not found', code: 404 });
+
+  const log = [];
+  let refreshed = 0;
+  const restMiddleware = [
+    restInterceptor({
+      request: request => ({ ...request, context: { source: 'test' } }),
+      response: (response, request) => { log.push(`${request.verb} ${request.path} ${request.context.source}`); },
+    }),
+    restAuthRefresh({ refresh: () => { refreshed++; } }),
+    restRetry({ delay: 1, jitter: false }),
+  ];
+
+  const retried = await renderRoute(routes, '/item/1', { rest: flaky, restMiddleware });
+  const replayed = await renderRoute(routes, '/item/2', { rest: flaky, restMiddleware });
+  const missing = await renderRoute(routes, '/item/missing', { rest: flaky, restMiddleware });
+
+  const calls = ['1', '2', 'missing'].map(id => flaky.callsTo('Test/Item:' + id).length);
+  console.log('Test results:');
+  console.log('- Calls per item:', calls.join(', '));
+  console.log('- Session refreshes:', refreshed);
+  console.log('- Logged responses:', log.join(', '));
+  console.log('- Error without retry:', missing.error && missing.error.error);
+
+  if (retried.app && retried.app.includes('Name of 1') && replayed.app && replayed.app.includes('Name of 2') &&
+    calls.join(',') === '3,2,1' && refreshed === 1 && missing.error && missing.error.code === 404 &&
+    log.join(', ') === 'GET Test/Item:1 test, GET Test/Item:2 test') {
+    console.log('✅ PASSED: REST middleware applied');
+    return true;
+  }
+  console.log('❌ FAILED: REST middleware not applied correctly');
+  return false;
+}
+
+// Test for shared, outdated and abandoned requests
+async function testRestRequests() {
+  console.log('\nTest: REST Request Sharing');
+
+  const mock = createRestMock()
+    .on('Test/Slow', call => ({ n: mock.callsTo('Test/Slow').indexOf(call) + 1 }), { delay: 30 })
+    .on('Test/Gone', { gone: true }, { delay: 30 });
+
+  let refresh, ctx, goneCtx;
+  function Slow({ name }) {
+    const [res, refreshSlow] = useRest('Test/Slow');
+    refresh = refreshSlow;
+    ctx = useVarCtx();
+    return React.createElement('p', null, name + ': ' + (res ? res.data.n : 'Loading'));
+  }
+  function Gone() {
+    useRest('Test/Gone');
+    goneCtx = useVarCtx();
+    return null;
+  }
+
+  return withDom(async render => {
+    // two components and a refresh share the same request
+    const { container } = await render(React.createElement(MockVarProvider, { rest: mock },
+      React.createElement(Slow, { name: 'A' }), React.createElement(Slow, { name: 'B' })));
+    let shared;
+    await act(async () => { shared = refresh(true) === ctx['@rest']['Test/Slow?'].pending.promise; });
+    await settle(mock);
+    const loaded = container.textContent;
+    const sharedCalls = mock.callsTo('Test/Slow').length;
+
+    // a value set while a request is running is not replaced by its response
+    await act(async () => {
+      refresh(true);
+      refresh({ result: 'success', data: { n: 'set' } });
+    });
+    await settle(mock);
+    const outdated = container.textContent;
+
+    // the request of an entry is abandoned when its last component unmounts
+    const gone = await render(React.createElement(MockVarProvider, { rest: mock }, React.createElement(Gone)));
+    await gone.unmount();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const abandoned = goneCtx['@rest']['Test/Gone?'].pending === null;
+    await settle(mock);
+    const goneValue = goneCtx['Test/Gone?'].value;
+
+    console.log('Test results:');
+    console.log('- Loaded:', loaded, 'with', sharedCalls, 'call(s)');
+    console.log('- Refresh shares the running request:', shared);
+    console.log('- After a value was set:', outdated);
+    console.log('- Request abandoned on unmount:', abandoned);
+    console.log('- Abandoned entry value:', JSON.stringify(goneValue));
+
+    if (loaded === 'A: 1B: 1' && sharedCalls === 1 && shared && outdated === 'A: setB: set' &&
+      abandoned && goneValue === null && mock.callsTo('Test/Gone').length === 1) {
+      console.log('✅ PASSED: Requests shared, and outdated responses ignored');
+      return true;
+    }
+    console.log('❌ FAILED: Requests not shared or outdated responses used');
+    return false;
+  });
+}
+
+// Test for stale-while-revalidate mode and revalidation on focus or reconnect
+async function testRestRevalidate() {
+  console.log('\nTest: REST Stale-While-Revalidate');
+
+  // the second call fails, as if the network was flaky
+  const mock = createRestMock()
+    .on('Test/Feed', call => {
+      const n = mock.callsTo('Test/Feed').indexOf(call);
+      if (n === 1) throw { error: 'Unavailable', code: 503 };
+      return { n: n + 1 };
+    }, { delay: 5 });
+
+  function Feed() {
+    const [feed, , { isValidating, error }] = useRest('Test/Feed', undefined, { swr: true, focusThrottleInterval: 0 });
+    return React.createElement('p', null, (feed ? 'Feed ' + feed.data.n : 'Loading') + (isValidating ? ' validating' : '') + (error ? ' error ' + error.code : ''));
+  }
+
+  return withDom(async render => {
+    const { container } = await render(React.createElement(MockVarProvider, { rest: mock }, React.createElement(Feed)));
+    await settle(mock);
+    const loaded = container.textContent;
+
+    await act(async () => { window.dispatchEvent(new window.Event('focus')); });
+    const validating = container.textContent;
+    await settle(mock);
+    const failed = container.textContent;
+
+    await act(async () => { window.dispatchEvent(new window.Event('online')); });
+    await settle(mock);
+
+    console.log('Test results:');
+    console.log('- Loaded:', loaded);
+    console.log('- On focus:', validating);
+    console.log('- After a failed revalidation:', failed);
+    console.log('- On reconnect:', container.textContent);
+
+    if (loaded === 'Feed 1' && validating === 'Feed 1 validating' && failed === 'Feed 1 error 503' && container.textContent === 'Feed 3') {
+      console.log('✅ PASSED: Cached data kept while revalidating');
+      return true;
+    }
+    console.log('❌ FAILED: Cached data not kept while revalidating');
+    return false;
+  });
+}
+
+// Test for polling with refreshInterval and values pushed through restSubscribe
+async function testRestLiveUpdates() {
+  console.log('\nTest: REST Polling and Pushed Values');
+
+  const wait = ms => act(() => new Promise(resolve => setTimeout(resolve, ms)));
+  const mock = createRestMock()
+    .on('Test/Stats', call => ({ n: mock.callsTo('Test/Stats').indexOf(call) + 1 }));
+  const statsCalls = () => mock.callsTo('Test/Stats').length;
+
+  const subscribed = [];
+  let push = null;
+  let unsubscribed = 0;
+  const restSubscribe = (entry, pushValue) => {
+    subscribed.push(entry);
+    push = pushValue;
+    return () => { unsubscribed++; };
+  };
+
+  function Stats() {
+    const [stats] = useRest('Test/Stats', undefined, { refreshInterval: 30 });
+    return React.createElement('span', null, stats ? stats.data.n + ' ' : '');
+  }
+  let setShown;
+  function Dashboard() {
+    const [shown, set] = useVar('shown', 2);
+    setShown = set;
+    return React.createElement('p', null, Array.from({ length: shown }, (_, n) => React.createElement(Stats, { key: n })));
+  }
+
+  return withDom(async render => {
+    let visibility = 'visible';
+    Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => visibility });
+    const setVisibility = value => act(async () => {
+      visibility = value;
+      document.dispatchEvent(new window.Event('visibilitychange'));
+    });
+
+    const { container } = await render(React.createElement(MockVarProvider, { rest: mock, restSubscribe }, React.createElement(Dashboard)));
+    await settle(mock);
+    const loaded = container.textContent;
+
+    await act(async () => push({ result: 'success', data: { n: 'pushed' } }));
+    const pushed = container.textContent;
+
+    // polled while visible
+    const beforePolling = statsCalls();
+    await wait(100);
+    const polled = statsCalls() - beforePolling;
+
+    // paused while hidden, fetched right away when visible again
+    await setVisibility('hidden');
+    const hiddenCalls = statsCalls();
+    await wait(100);
+    const pausedCalls = statsCalls() - hiddenCalls;
+    await setVisibility('visible');
+    await settle(mock);
+    const resumedCalls = statsCalls() - hiddenCalls;
+
+    // subscription and polling stop once the last component unmounts
+    await act(async () => setShown(1));
+    const unsubscribedWithOne = unsubscribed;
+    await act(async () => setShown(0));
+    await settle(mock);
+    const stoppedCalls = statsCalls();
+    await wait(100);
+
+    console.log('Test results:');
+    console.log('- Subscriptions:', JSON.stringify(subscribed));
+    console.log('- Loaded:', loaded);
+    console.log('- After push:', pushed);
+    console.log('- Polls in 100ms:', polled);
+    console.log('- Polls while hidden:', pausedCalls, 'then', resumedCalls, 'when visible');
+    console.log('- Unsubscribed:', unsubscribedWithOne, 'with one component,', unsubscribed, 'with none');
+    console.log('- Polls after unmount:', statsCalls() - stoppedCalls);
+
+    if (JSON.stringify(subscribed) === '[{"key":"Test/Stats?","path":"Test/Stats","params":{}}]' &&
+      loaded === '1 1 ' && pushed === 'pushed pushed ' && polled >= 2 && pausedCalls === 0 && resumedCalls === 1 &&
+      unsubscribedWithOne === 0 && unsubscribed === 1 && statsCalls() === stoppedCalls) {
+      console.log('✅ PASSED: Entries polled and updated with pushed values');
+      return true;
+    }
+    console.log('❌ FAILED: Entries not polled or updated correctly');
+    return false;
+  });
+}
+
+// Test for useRestInfinite with options applied to every page
+async function testRestInfinite() {
+  console.log('\nTest: REST Infinite Loading');
+
+  const wait = ms => act(() => new Promise(resolve => setTimeout(resolve, ms)));
+  // list endpoint with 2 pages, items are named after the page and the call number
+  const calls = [];
+  const rest = (path, verb, params) => {
+    const call = { path, params: JSON.parse(params) };
+    calls.push(call);
+    const item = 'p' + call.params.page_no + 'c' + calls.length;
+    return new Promise(resolve => setTimeout(resolve, 5))
+      .then(() => ({ result: 'success', data: [item], paging: { page_no: call.params.page_no, page_max: 2 } }));
+  };
+
+  // page_no cannot be added to params given as a query string
+  let paramsError = null;
+  try {
+    renderToString(React.createElement(MockVarProvider, { rest },
+      React.createElement(() => { useRestInfinite('Test/Posts', 'sort=new'); return null; })));
+  } catch (e) {
+    paramsError = e.message;
+  }
+
+  let feed;
+  function Feed() {
+    feed = useRestInfinite('Test/Posts', JSON.stringify({ sort: 'new' }), { swr: true, focusThrottleInterval: 0 });
+    return React.createElement('p', null, feed.items.join(' ') + (feed.isLoading ? ' loading' : ''));
+  }
+
+  return withDom(async render => {
+    const { container } = await render(React.createElement(MockVarProvider, { rest }, React.createElement(Feed)));
+    await wait(20);
+    const first = container.textContent;
+
+    await act(async () => feed.loadMore());
+    const loadingMore = container.textContent;
+    await wait(20);
+    const second = container.textContent;
+
+    // both pages are revalidated, keeping their items meanwhile
+    await act(async () => { window.dispatchEvent(new window.Event('focus')); });
+    const validating = container.textContent;
+    await wait(20);
+
+    console.log('Test results:');
+    console.log('- String params:', paramsError);
+    console.log('- First page:', first);
+    console.log('- Loading more:', loadingMore);
+    console.log('- Second page:', second);
+    console.log('- On focus:', validating);
+    console.log('- After revalidation:', container.textContent);
+    console.log('- API calls:', JSON.stringify(calls.map(call => call.params)));
+
+    if (paramsError !== null && paramsError.includes('JSON string') &&
+      first === 'p1c1' && loadingMore === 'p1c1 loading' && second === 'p1c1 p2c2' &&
+      validating === 'p1c1 p2c2' && container.textContent === 'p1c3 p2c4' && calls.length === 4 &&
+      calls.every(call => call.path === 'Test/Posts' && call.params.sort === 'new')) {
+      console.log('✅ PASSED: Pages loaded and revalidated with their params');
+      return true;
+    }
+    console.log('❌ FAILED: Pages not loaded or revalidated correctly');
+    return false;
+  });
+}
+
+// Test for RestErrorBoundary in the browser
+async function testRestErrorBoundary() {
+  console.log('\nTest: REST Error Boundary');
+
+  // the first call fails, the next ones succeed
+  const mock = createRestMock()
+    .on('Test/Order', { id: 42 }, { delay: 5 })
+    .fail('Test/Order', { error: 'Server busy', code: 503 }, { delay: 5, times: 1 });
+
+  function Order() {
+    const [order] = useRest('Test/Order');
+    return React.createElement('p', null, order ? 'Order ' + order.data.id : 'Loading');
+  }
+  let retry;
+  const caught = [];
+  const fallback = (error, retryFn) => {
+    retry = retryFn;
+    return React.createElement('p', null, 'Failed: ' + error.error);
+  };
+
+  return withDom(async render => {
+    // React reports errors caught by boundaries, keep the output readable
+    const consoleError = console.error;
+    console.error = () => {};
+    let failed;
+    try {
+      const { container } = await render(React.createElement(MockVarProvider, { rest: mock },
+        React.createElement(RestErrorBoundary, { fallback, onError: error => caught.push(error.code) }, React.createElement(Order))));
+      await settle(mock);
+      failed = container.textContent;
+
+      await act(async () => retry());
+      const retrying = container.textContent;
+      await settle(mock);
+
       console.log('Test results:');
-      console.log('- Has redirect:', !!result.redirect);
-      console.log('- Redirect URL:', result.redirect);
-      console.log('- Status code:', result.statusCode);
-      console.log('- Has HTML:', !!result.app);
-      
-      if (result.redirect === '/about' && result.statusCode === 301 && !result.app) {
-        console.log('✅ PASSED: Redirect handled correctly');
-        resolve(true);
-      } else {
-        console.log('❌ FAILED: Redirect not handled correctly');
-        resolve(false);
+      console.log('- After the failed call:', failed);
+      console.log('- On retry:', retrying);
+      console.log('- After retry:', container.textContent);
+      console.log('- Errors reported to onError:', JSON.stringify(caught));
+      console.log('- API calls:', mock.callsTo('Test/Order').length);
+
+      if (failed === 'Failed: Server busy' && retrying === 'Loading' && container.textContent === 'Order 42' &&
+        JSON.stringify(caught) === '[503]' && mock.callsTo('Test/Order').length === 2) {
+        console.log('✅ PASSED: Fallback rendered and children rendered again on retry');
+        return true;
       }
+      console.log('❌ FAILED: Error boundary did not render the fallback or retry');
+      return false;
+    } finally {
+      console.error = consoleError;
+    }
+  });
+}
+
+// Test for useRestInvalidate while a request is running
+async function testRestInvalidate() {
+  console.log('\nTest: REST Invalidation');
+
+  // the data changes on each call, as if it was updated between calls
+  const mock = createRestMock()
+    .on('Test/Version', call => ({ version: mock.callsTo('Test/Version').indexOf(call) + 1 }), { delay: 20 });
+
+  let invalidate;
+  function Version() {
+    const [res] = useRest('Test/Version');
+    invalidate = useRestInvalidate();
+    return React.createElement('p', null, res ? 'Version ' + res.data.version : 'Loading');
+  }
+
+  return withDom(async render => {
+    const { container } = await render(React.createElement(MockVarProvider, { rest: mock }, React.createElement(Version)));
+    const loading = container.textContent;
+
+    // the data changes while the first request is running
+    await act(async () => { invalidate('Test/Version?'); });
+    await settle(mock);
+
+    const calls = mock.callsTo('Test/Version').length;
+    console.log('Test results:');
+    console.log('- While loading:', loading);
+    console.log('- After invalidation:', container.textContent);
+    console.log('- API calls:', calls);
+
+    if (loading === 'Loading' && container.textContent === 'Version 2' && calls === 2) {
+      console.log('✅ PASSED: Invalidation fetched the data again');
+      return true;
+    }
+    console.log('❌ FAILED: Invalidation kept data of a request started before it');
+    return false;
+  });
+}
+
+// Test for useRestMutation invalidations and optimistic updates
+async function testRestMutation() {
+  console.log('\nTest: REST Mutation');
+
+  const wait = ms => act(() => new Promise(resolve => setTimeout(resolve, ms)));
+  // list returned by each GET call, the last one after the item was added
+  const lists = [['a'], ['a'], ['a', 'b']];
+  const mock = createRestMock()
+    .on('Test/List', call => new Promise(resolve => {
+      const n = mock.callsTo('Test/List').indexOf(call);
+      setTimeout(() => resolve(lists[Math.min(n, lists.length - 1)]), 40);
+    }))
+    .on('Test/List', { id: 'b' }, { verb: 'POST', delay: 5 })
+    .fail('Test/List', { error: 'Cannot add item', code: 400 }, { verb: 'POST', delay: 100, times: 1 });
+
+  let refresh, mutate, mutateAsync;
+  function List({ options }) {
+    const [list, refreshList] = useRest('Test/List');
+    const [add, { error }, addAsync] = useRestMutation('Test/List', 'POST', options);
+    refresh = refreshList;
+    mutate = add;
+    mutateAsync = addAsync;
+    return React.createElement('p', null, (list ? list.data.join(',') : 'Loading') + (error ? ' ' + error.error : ''));
+  }
+
+  // failed calls must not leave rejected promises nobody handles
+  let unhandled = 0;
+  const onUnhandled = () => { unhandled++; };
+  process.on('unhandledRejection', onUnhandled);
+
+  return withDom(async render => {
+    // an item is added while the list is being fetched again
+    const optimistic = { 'Test/List': (res, params) => ({ ...res, data: [...res.data, params.id] }) };
+    const { container, unmount } = await render(React.createElement(MockVarProvider, { rest: mock }, React.createElement(List, { options: { optimistic } })));
+    await settle(mock);
+    let result = null;
+    await act(async () => {
+      refresh(true);
+      mutate({ id: 'b' }).then(res => { result = res; });
+    });
+    const applied = container.textContent;
+    // the list fetched before the change is received while the call is running
+    await wait(60);
+    const whileRunning = container.textContent;
+    await settle(mock);
+    const rolledBack = container.textContent;
+
+    // mutateAsync rejects instead
+    let asyncError = null;
+    mock.fail('Test/List', { error: 'Cannot add item', code: 400 }, { verb: 'POST', times: 1 });
+    await act(async () => {
+      await mutateAsync({ id: 'c' }).catch(e => { asyncError = e.error; });
     });
+    await unmount();
+
+    // the list fetched before the change is still running when the call succeeds
+    mock.calls.length = 0;
+    const second = await render(React.createElement(MockVarProvider, { rest: mock }, React.createElement(List, { options: { invalidate: ['Test/List'] } })));
+    await settle(mock);
+    await act(async () => {
+      refresh(true);
+      mutate({ id: 'b' });
+    });
+    await settle(mock);
+    const calls = mock.callsTo(call => call.path === 'Test/List' && call.verb === 'GET').length;
+    // unhandled rejections are reported once the current task is done
+    await new Promise(resolve => setTimeout(resolve, 0));
+    process.off('unhandledRejection', onUnhandled);
+
+    console.log('Test results:');
+    console.log('- Optimistic value:', applied);
+    console.log('- While the call is running:', whileRunning);
+    console.log('- After the call failed:', rolledBack, 'resolved with', result);
+    console.log('- mutateAsync error:', asyncError);
+    console.log('- Unhandled rejections:', unhandled);
+    console.log('- After the call succeeded:', second.container.textContent);
+    console.log('- GET calls:', calls);
+
+    if (applied === 'a,b' && whileRunning === 'a,b' && rolledBack === 'a Cannot add item' && result === undefined &&
+      asyncError === 'Cannot add item' && unhandled === 0 && second.container.textContent === 'a,b' && calls === 3) {
+      console.log('✅ PASSED: Mutations update and invalidate the REST cache');
+      return true;
+    }
+    console.log('❌ FAILED: Mutations did not update the REST cache correctly');
+    return false;
   });
 }
 
+// Test for the streaming renderer
+async function testStreamRendering() {
+  console.log('\nTest: Streaming Rendering');
+
+  const result = await renderRoute(routes, '/item/stream', { rest: api, stream: true });
+  const html = result.stream ? await new Response(result.stream).text() : '';
+  const redirect = await renderRoute(routes, '/redirect', { stream: true });
+
+  console.log('Test results:');
+  console.log('- Status code:', result.statusCode);
+  console.log('- Has app:', !!result.app);
+  console.log('- Title:', result.title);
+  console.log('- HTML:', html);
+  console.log('- Initial state:', JSON.stringify(result.initial));
+  console.log('- Redirect:', redirect.redirect, redirect.statusCode, !!redirect.stream);
+
+  const initialScript = '<script>(function(w){w.FW=w.FW||{};w.FW.initial=Object.assign(w.FW.initial||{},' +
+    JSON.stringify(result.initial) + ');})(window);</script>';
+  if (result.statusCode === 200 && !result.app && result.title === '<title data-klbfw-head="true">Item stream | Items</title>' &&
+    html.includes('<h1>Item stream</h1>') && html.includes('Name of stream') && html.endsWith(initialScript) &&
+    result.initial.item_id === 'stream' && result.initial['Test/Item:stream?'] &&
+    redirect.redirect === '/about' && redirect.statusCode === 301 && !redirect.stream) {
+    console.log('✅ PASSED: Page streamed with its initial state');
+    return true;
+  }
+  console.log('❌ FAILED: Page not streamed correctly');
+  return false;
+}
+
 // Run all tests
 async function runTests() {
   try {
-    const htmlTestPassed = await testHtmlRendering();
-    const redirectTestPassed = await testRedirectHandling();
-    
+    const results = [
+      await testHtmlRendering(),
+      await testRedirectHandling(),
+      await testStatusAndHeaders(),
+      await testRestLoader(),
+      await testCodec(),
+      await testParallelRendering(),
+      await testPromiseFailure(),
+      await testLifecycleHooks(),
+      await testErrorPage(),
+      await testMockVarProvider(),
+      await testSuspense(),
+      await testPersistence(),
+      await testCrossTabSync(),
+      await testVarUpdates(),
+      await testVarSelector(),
+      await testDevtools(),
+      await testRestMiddleware(),
+      await testRestRequests(),
+      await testRestRevalidate(),
+      await testRestLiveUpdates(),
+      await testRestInfinite(),
+      await testRestErrorBoundary(),
+      await testRestInvalidate(),
+      await testRestMutation(),
+      // last, as the streaming renderer leaves its mark on context providers,
+      // and the client renderer would then warn about several renderers
+      await testStreamRendering(),
+    ];
+
     console.log('\n========== TEST SUMMARY ==========');
-    const passCount = (htmlTestPassed ? 1 : 0) + (redirectTestPassed ? 1 : 0);
-    console.log(`Tests Passed: ${passCount}/2`);
-    
-    if (passCount === 2) {
+    const passCount = results.filter(passed => passed).length;
+    console.log(`Tests Passed: ${passCount}/${results.length}`);
+
+    if (passCount === results.length) {
       console.log('✅ ALL TESTS PASSED - The SSR implementation correctly:');
       console.log('  1. Renders HTML content for regular pages with proper metadata');
       console.log('  2. Detects and handles redirects with proper status codes');
+      console.log('  3. Sets status codes and headers from routes and loaders');
+      console.log('  4. Shares data loaded by route loaders with useRest');
+      console.log('  5. Converts variables passed to the client to JSON and back');
+      console.log('  6. Keeps the state of parallel renders separate');
+      console.log('  7. Applies the failure policy of promises passed to run()');
+      console.log('  8. Calls the render lifecycle hooks');
+      console.log('  9. Renders an error page when rendering fails');
+      console.log('  10. Provides initial variables to tested components');
+      console.log('  11. Suspends while loading REST data, on the server and in the browser');
+      console.log('  12. Restores, migrates and stores persisted variables');
+      console.log('  13. Synchronizes variables and REST cache resets across tabs');
+      console.log('  14. Applies functional updates and reducer actions to the latest value');
+      console.log('  15. Selects from variables without creating them');
+      console.log('  16. Records variables and REST calls for the devtools');
+      console.log('  17. Retries, replays and intercepts API calls through middleware');
+      console.log('  18. Shares REST requests and ignores outdated responses');
+      console.log('  19. Keeps cached data while revalidating in the background');
+      console.log('  20. Polls REST entries and applies pushed values');
+      console.log('  21. Loads and revalidates list pages');
+      console.log('  22. Renders a fallback for REST errors in the browser, and retries');
+      console.log('  23. Fetches invalidated REST entries again');
+      console.log('  24. Applies, rolls back and invalidates after mutations');
+      console.log('  25. Streams pages with their initial state');
     } else {
       console.log('❌ SOME TESTS FAILED - See details above');
+      process.exitCode = 1;
     }
   } catch (error) {
     console.error('Error running tests:', error);
+    process.exitCode = 1;
   }
 }
 
 // Start the tests
-runTests();
\ No newline at end of file
+runTests();
@@ -0,0 +1,51 @@
+// Type definitions for @karpeleslab/react-klbfw-hooks/testing
+// Project: https://github.com/KarpelesLab/react-klbfw-hooks
+
+import { ReactNode } from "react";
+import { RenderResult, RestMiddleware, RunOptions, RunPromise, VarRegistry } from "./index.js";
+
+export type RestCall = (path: string, verb: string, params?: string | {[paramKey: string]: any}, context?: {[key: string]: any}) => Promise<any>;
+
+export interface MockVarProviderProps {
+	initial?: Partial<VarRegistry> & {[varName: string]: any};
+	rest?: RestMock | RestCall;
+	restMiddleware?: RestMiddleware[];
+	restSubscribe?: RunOptions["restSubscribe"];
+	suspense?: boolean;
+	children?: ReactNode;
+}
+export function MockVarProvider(props: MockVarProviderProps): ReactNode;
+
+export interface RestMockCall {
+	path: string;
+	verb: string;
+	params: any;
+}
+export type RestMockMatcher = string | RegExp | ((call: RestMockCall) => boolean);
+export interface RestMockOptions {
+	verb?: string;
+	delay?: number;
+	times?: number;
+}
+export interface RestMockError {
+	error?: string;
+	code?: number;
+	token?: string;
+	[key: string]: any;
+}
+export interface RestMock {
+	calls: RestMockCall[];
+	on(matcher: RestMockMatcher, response: any | ((call: RestMockCall) => any), options?: RestMockOptions): RestMock;
+	fail(matcher: RestMockMatcher, error: string | Error | RestMockError | ((call: RestMockCall) => any), options?: RestMockOptions): RestMock;
+	callsTo(matcher: RestMockMatcher): RestMockCall[];
+	settled(): Promise<void>;
+	reset(): void;
+	call: RestCall;
+}
+export function createRestMock(): RestMock;
+
+export interface RenderRouteOptions extends RunOptions {
+	rest?: RestMock | RestCall;
+	promises?: RunPromise[];
+}
+export function renderRoute(routes: any, url: string, options?: RenderRouteOptions): Promise<RenderResult>;
@@ -0,0 +1,223 @@
+/**
+ * Utilities to test components using the hooks of this package
+ *
+ * - MockVarProvider renders components with a context of their own, with
+ *   initial variables and optionally a REST mock
+ * - createRestMock() returns a scripted stand-in for the API, used by useRest,
+ *   restLoader and useRestMutation instead of klbfw rest()
+ * - renderRoute() renders a URL of the application through the real SSR
+ *   renderer, and resolves with the result object
+ *
+ * Import these from "@karpeleslab/react-klbfw-hooks/testing".
+ */
+import React, { useState } from 'react';
+import { Context, getVarSetter, makeRenderer } from "./ssr.js";
+import { parseParams } from "./rest.js";
+
+/**
+ * Provides a context to components using the hooks, for tests
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.initial - Optional initial values of variables, by name
+ * @param {Object|Function} props.rest - Optional REST mock (see createRestMock) or function (path, verb, params) returning a Promise
+ * @param {Array<Function>} props.restMiddleware - Optional middleware applied to API calls, as the restMiddleware option of run()
+ * @param {Function} props.restSubscribe - Optional function subscribing REST cache entries to pushed values, as the restSubscribe option of run()
+ * @param {boolean} props.suspense - If true, useRest suspends while loading by default
+ * @returns {Object} - The context provider element
+ */
+export function MockVarProvider({initial, rest, restMiddleware, restSubscribe, suspense, children}) {
+	// the context is created once for the lifetime of the provider
+	const [ctx] = useState(() => {
+		let ctx = {};
+		for(let varName in (initial || {})) {
+			getVarSetter(ctx, varName, initial[varName]);
+		}
+		if (rest) {
+			ctx["@restCall"] = typeof rest === "function" ? rest : rest.call;
+		}
+		if (restMiddleware instanceof Array) {
+			ctx["@restMiddleware"] = restMiddleware;
+		}
+		if (typeof restSubscribe === "function") {
+			ctx["@restSubscribe"] = restSubscribe;
+		}
+		if (suspense === true) {
+			ctx["@suspense"] = true;
+		}
+		return ctx;
+	});
+
+	return React.createElement(Context.Provider, {value: ctx}, children);
+}
+
+/**
+ * Internal helper checking if an API call matches a matcher
+ *
+ * @param {string|RegExp|Function} matcher - Path, path prefix ending with "*", RegExp tested on the path, or function receiving the call
+ * @param {Object} call - The call, as {path, verb, params}
+ * @returns {boolean} - True if the call matches
+ */
+function matchCall(matcher, call) {
+	if (matcher instanceof RegExp) return matcher.test(call.path);
+	if (typeof matcher === "function") return !!matcher(call);
+	if (matcher.endsWith("*")) return call.path.startsWith(matcher.slice(0, -1));
+	return call.path === matcher;
+}
+
+/**
+ * Internal helper converting an error declared in the REST mock to a KLB API error response
+ *
+ * @param {any} error - Error message, error response fields or Error object
+ * @returns {Object} - Error response, as rejected by klbfw rest()
+ */
+function errorResponse(error) {
+	if (typeof error === "string") {
+		return {result: "error", error: error, code: 500};
+	}
+	if (error instanceof Error) {
+		return {result: "error", error: error.message, code: 500};
+	}
+	return {result: "error", code: 500, ...error};
+}
+
+/**
+ * Creates a scripted stand-in for the API
+ *
+ * Responses are declared with on(matcher, response, options) and errors with
+ * fail(matcher, error, options). When several declarations match a call, the
+ * last one wins, so a test can override responses declared for all tests.
+ * Matchers can be a path, a path prefix ending with "*", a RegExp tested on the
+ * path, or a function receiving the call {path, verb, params}. The response can be
+ * a function receiving the call and returning the data (or a Promise).
+ *
+ * Options:
+ * - verb: Only match calls with this HTTP method
+ * - delay: Time in milliseconds before the response is received
+ * - times: Only match this number of calls
+ *
+ * Responses are passed to the hooks as {result: "success", data}, and errors as
+ * {result: "error", error, code, token}, like klbfw rest() does. Calls without a
+ * matching declaration fail with a 404 error. All calls are recorded in calls.
+ *
+ * @returns {Object} - The REST mock, as {on, fail, call, calls, callsTo, settled, reset}
+ */
+export function createRestMock() {
+	let routes = [];
+	const inflight = new Set();
+
+	const mock = {
+		// all calls received, as {path, verb, params}
+		calls: [],
+		on: (matcher, response, options = {}) => {
+			routes.push({matcher: matcher, response: response, options: options, fail: false, used: 0});
+			return mock;
+		},
+		fail: (matcher, error, options = {}) => {
+			routes.push({matcher: matcher, response: error, options: options, fail: true, used: 0});
+			return mock;
+		},
+		// returns calls matching a matcher, for assertions
+		callsTo: (matcher) => mock.calls.filter(call => matchCall(matcher, call)),
+		// resolves once all calls received so far (and calls they lead to) are answered
+		settled: async () => {
+			while (inflight.size > 0) {
+				await Promise.allSettled(Array.from(inflight));
+			}
+		},
+		reset: () => {
+			routes = [];
+			mock.calls.length = 0;
+		},
+		// performs a call, with the same arguments as klbfw rest()
+		call: (path, verb, params) => {
+			const call = {path: path, verb: verb || "GET", params: parseParams(params)};
+			mock.calls.push(call);
+
+			let route = null;
+			for(let n = routes.length - 1; n >= 0; n--) {
+				const r = routes[n];
+				if (r.options.verb && r.options.verb !== call.verb) continue;
+				if (r.options.times !== undefined && r.used >= r.options.times) continue;
+				if (matchCall(r.matcher, call)) {
+					route = r;
+					break;
+				}
+			}
+
+			let prom;
+			if (route === null) {
+				prom = Promise.reject(errorResponse({error: "No REST mock for " + call.verb + " " + path, code: 404, token: "error_mock_not_found"}));
+			} else {
+				route.used++;
+				prom = new Promise(resolve => setTimeout(resolve, route.options.delay || 0))
+					.then(() => typeof route.response === "function" ? route.response(call) : route.response)
+					.then(value => {
+						if (route.fail) throw errorResponse(value);
+						return {result: "success", data: value};
+					}, error => {
+						throw errorResponse(error);
+					});
+			}
+
+			inflight.add(prom);
+			prom.then(() => inflight.delete(prom), () => inflight.delete(prom));
+			return prom;
+		},
+	};
+
+	return mock;
+}
+
+/**
+ * Renders a URL of the application through the SSR renderer
+ *
+ * The klbfw URL functions read the global FW object, which is set for this
+ * render only. Options are the options of run(), with in addition:
+ * - rest: REST mock (see createRestMock) or function used for API calls made during render
+ * - promises: promises to wait for, as passed to run()
+ *
+ * @param {Array} routes - The route configuration for React Router
+ * @param {string} url - URL to render, such as "/products?page=2"
+ * @param {Object} options - Optional run() options, rest and promises
+ * @returns {Promise<Object>} - Resolves with the render result
+ */
+export function renderRoute(routes, url, options = {}) {
+	const {rest, promises, ...runOptions} = options;
+	const target = new URL(url, "https://localhost");
+
+	if (rest) {
+		// use the mock for calls made by this request
+		const beforeRender = runOptions.beforeRender;
+		runOptions.beforeRender = async (request, varCtx) => {
+			varCtx["@restCall"] = typeof rest === "function" ? rest : rest.call;
+			if (typeof beforeRender === "function") await beforeRender(request, varCtx);
+		};
+	}
+
+	const hasFW = typeof globalThis.FW !== "undefined";
+	const prevFW = globalThis.FW;
+	globalThis.FW = {
+		...(hasFW ? prevFW : {}),
+		path: target.pathname,
+		prefix: "",
+		uuid: (hasFW && prevFW.uuid) || "test-uuid",
+		URL: {
+			path: target.pathname,
+			full: target.href,
+			host: target.host,
+			query: target.search.slice(1),
+			scheme: target.protocol.replace(":", ""),
+		},
+	};
+
+	try {
+		// the renderer reads the request from FW before its first await
+		return new Promise(resolve => makeRenderer(routes, promises, runOptions)(resolve));
+	} finally {
+		if (hasFW) {
+			globalThis.FW = prevFW;
+		} else {
+			delete globalThis.FW;
+		}
+	}
+}
@@ -1,8 +1,9 @@
 // Example and test for react-klbfw-hooks with React Router DOM v7
-const React = require("react");
-const { redirect } = require("react-router-dom");
-const { createRoutesFromElements, Route } = require("react-router-dom");
-const { Helmet } = require("react-helmet");
+import React from "react";
+import { data, redirect } from "react-router-dom";
+import { createRoutesFromElements, Route, useLoaderData, useParams } from "react-router-dom";
+import { Helmet, Head, useVar, useVarCtx, useRest, restLoader } from "./index.js";
+import { createRestMock } from "./testing.js";
 
 // Define React components without JSX
 function Home() {
@@ -31,28 +32,87 @@ function About() {
   );
 }
 
+// Item loaded by a route loader, the component reads it from the REST cache
+function LoadedItem() {
+  const { id } = useParams();
+  const loaded = useLoaderData();
+  const [item] = useRest("Test/Item:" + id);
+
+  return React.createElement(
+    "p",
+    null,
+    (item ? item.data.name : "Loading...") + (loaded === item ? " (from loader)" : "")
+  );
+}
+
+function NotFound() {
+  return React.createElement("h1", null, "Not Found");
+}
+
+// Contexts used to render items, by item id, so tests can check them after rendering
+const itemContexts = {};
+
+function Item() {
+  const { id } = useParams();
+  // the first component using a variable sets its value, a context shared with
+  // another request would show the id of that request instead
+  const [itemId] = useVar("item_id", id);
+  const [item] = useRest("Test/Item:" + id);
+  itemContexts[id] = useVarCtx();
+
+  return React.createElement(
+    React.Fragment,
+    null,
+    React.createElement(Head, { titleTemplate: "%s | Items" },
+      React.createElement("title", null, "Item " + itemId)
+    ),
+    React.createElement("h1", null, "Item " + itemId),
+    React.createElement("p", null, item ? item.data.name : "Loading...")
+  );
+}
+
 // Define routes with a loader that redirects
 const routes = createRoutesFromElements(
   React.createElement(React.Fragment, null,
     React.createElement(Route, { path: "/", element: React.createElement(Home) }),
     React.createElement(Route, { path: "/about", element: React.createElement(About) }),
-    React.createElement(Route, { path: "/redirect", loader: () => redirect("/about", 301) })
+    React.createElement(Route, { path: "/item/:id", element: React.createElement(Item) }),
+    React.createElement(Route, { path: "/redirect", loader: () => redirect("/about", 301) }),
+    React.createElement(Route, {
+      path: "/loaded/:id",
+      element: React.createElement(LoadedItem),
+      loader: restLoader(({ params }) => "Test/Item:" + params.id)
+    }),
+    React.createElement(Route, {
+      path: "/cached",
+      element: React.createElement(About),
+      loader: () => data(null, { headers: { "Cache-Control": "public, max-age=300", "Vary": "Cookie" } })
+    }),
+    React.createElement(Route, {
+      path: "/gone",
+      element: React.createElement(About),
+      errorElement: React.createElement(NotFound),
+      loader: () => {
+        throw new Response("", { status: 404 });
+      }
+    })
   )
 );
 
-// Mock klbfw functions for testing
-global.getUuid = () => 'test-uuid-123';
-global.getPrefix = () => '';
-global.getPath = () => '/test';
-global.getUrl = () => ({ 
-  query: '',
-  host: 'example.com',
-  scheme: 'https'
-});
-global.getInitialState = () => ({});
-
-module.exports = {
+// Scripted API used by the test renders, answering after a random delay
+const api = createRestMock()
+  .on("Test/Item:*", call => new Promise(resolve => {
+    setTimeout(() => resolve({ name: "Name of " + call.path.split(":")[1] }), Math.random() * 20);
+  }))
+  .fail("Test/Item:missing", { error: "Item not found", code: 404, token: "error_not_found" }, { delay: 5 });
+
+export {
   routes,
+  api,
+  itemContexts,
   Home,
-  About
+  About,
+  NotFound,
+  Item,
+  LoadedItem
 };
\ No newline at end of file